@@ -0,0 +1,45 @@
+/**
+ * @file Determinization.js
+ * Samples the hidden information of a game from one player's point of view.
+ * A search agent that looks at the real game state cheats: it knows the opponent's hand and the order
+ * of both decks. A determinization is a copy of the game in which everything the player cannot know
+ * is drawn again at random, consistently with what is public:
+ * - the opponent's hand keeps its public cards (e.g. drive-checked cards) and its size; its hidden cards
+ *   are drawn from the pool of the opponent's hidden hand and deck;
+ * - the opponent's deck gets the rest of that pool, in a random order;
+ * - the player's own deck is shuffled, as its order is unknown too;
+ * - the random generator of the game is seeded again, so future shuffles can't be predicted either.
+ * Every other zone is public or known to the player and is kept as is.
+ */
+
+import cloneDeep from '../core/cloneDeep.js';
+import Random from '../core/Random.js';
+
+/**
+ * Samples a game state that the player cannot tell apart from the real one.
+ * @param {Party} party - The real game state. It is not modified.
+ * @param {number} playerIndex - The index of the player whose knowledge is used.
+ * @param {Random} random - The random generator used to sample.
+ * @returns {Party} A new game state.
+ */
+export function determinize(party, playerIndex, random) {
+    const sample = cloneDeep(party);
+    const player = sample.players[playerIndex];
+    const opponent = sample.players[1 - playerIndex];
+
+    // The hidden cards of the opponent's hand are interchangeable with the cards of their deck.
+    const hiddenSlots = opponent.hand
+        .map((card, index) => (card.isPublic ? null : index))
+        .filter(index => index !== null);
+    const pool = random.shuffle([...hiddenSlots.map(index => opponent.hand[index]), ...opponent.deck]);
+    hiddenSlots.forEach(index => {
+        const card = pool.pop();
+        card.isPublic = false;
+        opponent.hand[index] = card;
+    });
+    opponent.deck = pool;
+
+    random.shuffle(player.deck);
+    sample.random = new Random(random.nextInt(2 ** 32));
+    return sample;
+}
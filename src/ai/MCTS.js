@@ -0,0 +1,186 @@
+/**
+ * @file MCTS.js
+ * Monte Carlo Tree Search (UCT) over the game engine.
+ * Every decision of the game (mulligan, ride, main, battle, guard, effect resolution, choices) is a list of
+ * legal actions from getPossibleActions, and applyAction returns a new state, so the tree simply stores
+ * one game state per node. Each iteration selects a path with UCT, expands one new action, plays the game
+ * randomly to its end and backs the result up the path: 1 for the winner, 0 for the loser.
+ *
+ * To avoid cheating, the search does not run on the real game state but on determinizations: copies of the
+ * game where the information hidden from the searching player is sampled again (see Determinization.js).
+ * The iterations are shared between several determinizations, and the visits of each action are summed.
+ *
+ * The search is deterministic for a given seed and number of iterations. With a time budget, the number
+ * of iterations depends on the speed of the machine.
+ */
+
+import { getPossibleActions } from '../core/ActionManager.js';
+import { applyAction } from '../core/ActionApplier.js';
+import Random from '../core/Random.js';
+import { determinize } from './Determinization.js';
+
+/**
+ * Scores the final state of a playout for a player, from the result of the game: 1 for a win, 0 for a loss.
+ * A game stopped by the playout step limit before its end counts as a draw, 0.5.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the player.
+ * @returns {number} A reward in [0, 1].
+ */
+export function evaluate(party, playerIndex) {
+    const winnerIndex = party.getWinnerIndex();
+    if (winnerIndex === null) return 0.5;
+    return winnerIndex === playerIndex ? 1 : 0;
+}
+
+class Node {
+    /**
+     * @param {Party} party - The game state of this node.
+     * @param {Node | null} parent
+     * @param {number | null} actionIndex - The index of the action leading here, among the parent's actions.
+     */
+    constructor(party, parent = null, actionIndex = null) {
+        this.party = party;
+        this.parent = parent;
+        this.actionIndex = actionIndex;
+        // The reward of a node is counted for the player who chose the action leading to it.
+        this.moverIndex = parent ? parent.party.getDecidingPlayerIndex() : null;
+        this.isTerminal = party.isGameOver();
+        this.actions = this.isTerminal ? [] : getPossibleActions(party);
+        this.untriedActionIndices = this.actions.map((action, index) => index);
+        this.children = [];
+        this.visits = 0;
+        this.totalReward = 0;
+    }
+}
+
+class MCTS {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.iterations=100] - The maximum number of iterations per decision.
+     * @param {number} [options.timeLimitMs] - The maximum time per decision, in milliseconds.
+     * @param {number} [options.exploration=Math.SQRT2] - The UCT exploration constant.
+     * @param {number} [options.maxPlayoutSteps=1000] - The maximum number of random actions in a playout. A random game
+     * from its start usually ends in 100 to 350 actions (a player who runs out of deck loses), so this is only a safety net.
+     * @param {number} [options.determinizations=4] - The number of sampled game states searched.
+     * 0 searches the real game state, with perfect information.
+     * @param {number} [options.seed] - Seeds the random choices of the search.
+     */
+    constructor({ iterations = 100, timeLimitMs = null, exploration = Math.SQRT2, maxPlayoutSteps = 1000, determinizations = 4, seed } = {}) {
+        this.iterations = iterations;
+        this.determinizations = determinizations;
+        this.timeLimitMs = timeLimitMs;
+        this.exploration = exploration;
+        this.maxPlayoutSteps = maxPlayoutSteps;
+        this.random = new Random(seed);
+    }
+
+    /**
+     * Searches the best action for the player deciding in a game state.
+     * @param {Party} party - The game state. It is not modified.
+     * @returns {Promise<number>} The index of the chosen action among getPossibleActions(party).
+     */
+    async search(party) {
+        const actionCount = getPossibleActions(party).length;
+        if (actionCount <= 1) return 0;
+
+        const playerIndex = party.getDecidingPlayerIndex();
+        const states = this.determinizations > 0
+            ? Array.from({ length: this.determinizations }, () => determinize(party, playerIndex, this.random))
+            : [party];
+
+        const iterationsPerState = Math.ceil(this.iterations / states.length);
+        const deadline = this.timeLimitMs !== null ? Date.now() + this.timeLimitMs : Infinity;
+
+        const visits = new Array(actionCount).fill(0);
+        for (const [i, state] of states.entries()) {
+            // With a time budget, each state gets an equal share of the time left.
+            const stateDeadline = Date.now() + (deadline - Date.now()) / (states.length - i);
+            const root = await this._searchTree(state, iterationsPerState, stateDeadline);
+            // The legal actions only depend on what the player knows, so they are the same in every determinization.
+            if (root.actions.length !== actionCount) continue;
+            root.children.forEach(child => { visits[child.actionIndex] += child.visits; });
+        }
+
+        // The most visited action is the most robust choice.
+        return visits.reduce((best, count, index) => (count > visits[best] ? index : best), 0);
+    }
+
+    /**
+     * Builds a search tree from a game state.
+     * @param {Party} party - The root game state.
+     * @param {number} iterations - The maximum number of iterations.
+     * @param {number} deadline - The time (Date.now()) at which the search stops.
+     * @returns {Promise<Node>} The root of the tree.
+     */
+    async _searchTree(party, iterations, deadline) {
+        const root = new Node(party);
+        for (let i = 0; i < iterations && Date.now() < deadline; i++) {
+            let node = this._select(root);
+            if (node.untriedActionIndices.length > 0) {
+                node = await this._expand(node);
+            }
+            const finalState = await this._playout(node.party);
+            this._backpropagate(node, finalState);
+        }
+        return root;
+    }
+
+    /**
+     * Goes down the tree, choosing children with UCT, until a node that is terminal or not fully expanded.
+     * @param {Node} node
+     * @returns {Node}
+     */
+    _select(node) {
+        while (!node.isTerminal && node.untriedActionIndices.length === 0 && node.children.length > 0) {
+            const logVisits = Math.log(node.visits);
+            node = node.children.reduce((best, child) => {
+                const score = child.totalReward / child.visits + this.exploration * Math.sqrt(logVisits / child.visits);
+                return score > best.score ? { child, score } : best;
+            }, { child: null, score: -Infinity }).child;
+        }
+        return node;
+    }
+
+    /**
+     * Adds a child for one untried action, chosen at random.
+     * @param {Node} node
+     * @returns {Promise<Node>} The new child.
+     */
+    async _expand(node) {
+        const untried = node.untriedActionIndices;
+        const [actionIndex] = untried.splice(this.random.nextInt(untried.length), 1);
+        const child = new Node(await applyAction(node.party, node.actions[actionIndex], undefined, { trusted: true }), node, actionIndex);
+        node.children.push(child);
+        return child;
+    }
+
+    /**
+     * Plays random actions from a game state until the game is over or the step limit is reached.
+     * @param {Party} party
+     * @returns {Promise<Party>} The final game state.
+     */
+    async _playout(party) {
+        let state = party;
+        for (let steps = 0; steps < this.maxPlayoutSteps && !state.isGameOver(); steps++) {
+            const actions = getPossibleActions(state);
+            if (actions.length === 0) break;
+            state = await applyAction(state, this.random.pick(actions), undefined, { trusted: true });
+        }
+        return state;
+    }
+
+    /**
+     * Adds the result of a playout to every node of the path, for the player who moved into each node.
+     * @param {Node} node - The node the playout started from.
+     * @param {Party} finalState - The final state of the playout.
+     */
+    _backpropagate(node, finalState) {
+        const rewards = [evaluate(finalState, 0), evaluate(finalState, 1)];
+        for (let current = node; current; current = current.parent) {
+            current.visits++;
+            if (current.moverIndex !== null) current.totalReward += rewards[current.moverIndex];
+        }
+    }
+}
+
+export default MCTS;
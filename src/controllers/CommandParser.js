@@ -0,0 +1,328 @@
+/**
+ * @file CommandParser.js
+ * Parses the text commands of a human player into one of the legal actions, so that the player does not have
+ * to find an option number in long lists (one call per card and circle, 2^N mulligans).
+ * A command never creates an action: it selects one of the actions of getPossibleActions, so an illegal command
+ * is rejected with the reason and the commands that would be legal instead.
+ *
+ * Grammar (case-insensitive, card names can be abbreviated or slightly misspelled):
+ *   mulligan [<hand position> ...]             keep (or "mulligan") keeps the whole hand
+ *   ride <card> [from hand|ridedeck] [discard <card>]
+ *   call <card> <circle>
+ *   move <circle> <circle>
+ *   act <card>
+ *   attack <circle> -> <circle> [boost]
+ *   guard <card> | intercept <card|circle> | order <card>
+ *   activate <card> | choose <option>
+ *   pass                                       ends the ride, main or battle phase, the guard step, or skips effects
+ */
+
+const PASS_TYPES = ['PASS_RIDE_PHASE', 'PASS_MAIN_PHASE', 'PASS_BATTLE_PHASE', 'PASS_GUARD_STEP', 'PASS_EFFECT'];
+
+const COMMANDS = [
+    { verb: 'mulligan', usage: 'mulligan [<hand position> ...]', help: 'Redraw the cards at these positions of your hand (1 is the first).' },
+    { verb: 'ride', usage: 'ride <card> [from hand|ridedeck] [discard <card>]', help: 'Ride a card.' },
+    { verb: 'call', usage: 'call <card> <circle>', help: 'Call a card from your hand to a rear-guard circle.' },
+    { verb: 'move', usage: 'move <circle> <circle>', help: 'Swap the units of a column.' },
+    { verb: 'act', usage: 'act <card>', help: 'Use an [ACT] ability.' },
+    { verb: 'attack', usage: 'attack <circle> -> <circle> [boost]', help: 'Attack an opponent\'s circle.' },
+    { verb: 'guard', usage: 'guard <card>', help: 'Guard with a card from your hand.' },
+    { verb: 'intercept', usage: 'intercept <card|circle>', help: 'Intercept with a front row rear-guard.' },
+    { verb: 'order', usage: 'order <card>', help: 'Play a Blitz Order.' },
+    { verb: 'activate', usage: 'activate <card>', help: 'Resolve a triggered ability.' },
+    { verb: 'choose', usage: 'choose <option>', help: 'Answer the choice of an effect.' },
+    { verb: 'pass', usage: 'pass', help: 'End the phase or step, or do not activate effects.' },
+];
+
+const ALIASES = { keep: 'mulligan', end: 'pass', play: 'order' };
+
+const CIRCLE_PATTERN = /^(V|R[1-5])$/i;
+
+/**
+ * @param {string} text
+ * @returns {string} The text in lowercase, without grade tags and punctuation.
+ */
+function normalize(text) {
+    return text.toLowerCase().replace(/\[g\d+\]/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} The edit distance between a and b.
+ */
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Scores how well a query matches a card name: 4 for the full name, 3 for its beginning, 2 if every word
+ * of the query starts a word of the name, 1 for a small typo in the name or in a part of it, 0 otherwise.
+ * @param {string} query - The normalized query.
+ * @param {string} name - The card name.
+ * @returns {number}
+ */
+function scoreName(query, name) {
+    const normalized = normalize(name);
+    if (normalized === query) return 4;
+    if (normalized.startsWith(query)) return 3;
+
+    const words = normalized.split(' ');
+    if (query.split(' ').every(queryWord => words.some(word => word.startsWith(queryWord)))) return 2;
+
+    const parts = [normalized, ...name.split(',').map(normalize)];
+    if (parts.some(part => levenshtein(query, part) <= Math.max(1, Math.floor(part.length / 5)))) return 1;
+    return 0;
+}
+
+/**
+ * @param {string} query - What the player typed.
+ * @param {string[]} names - The card names to choose from.
+ * @returns {string[]} The names that match the query best. Empty if none matches.
+ */
+export function findBestNames(query, names) {
+    const normalizedQuery = normalize(query);
+    if (!normalizedQuery) return [];
+
+    const scores = names.map(name => scoreName(normalizedQuery, name));
+    const bestScore = Math.max(0, ...scores);
+    return bestScore === 0 ? [] : names.filter((name, index) => scores[index] === bestScore);
+}
+
+/**
+ * Describes an action with the words of the grammar.
+ * @param {object} action - A legal action.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @returns {{verb: string, card?: string, circle?: string, from?: string, to?: string, source?: string, discard?: string, boost?: boolean, redraw?: number[]}}
+ */
+function describeAction(action, party, playerIndex) {
+    const cardName = uniqueId => party.findCardInstance(uniqueId)?.card.name ?? uniqueId;
+
+    switch (action.type) {
+        case 'MULLIGAN': {
+            const hand = party.players[playerIndex].hand;
+            return { verb: 'mulligan', redraw: action.cardInstanceIds.map(uniqueId => hand.findIndex(card => card.uniqueId === uniqueId)) };
+        }
+        case 'RIDE': {
+            const discard = action.source === 'rideDeck' ? cardName(action.discardInstanceId) : undefined;
+            return { verb: 'ride', card: cardName(action.cardInstanceId), source: action.source, discard };
+        }
+        case 'CALL':
+            return { verb: 'call', card: cardName(action.cardInstanceId), circle: action.circleTag };
+        case 'MOVE':
+            return { verb: 'move', from: action.from, to: action.to };
+        case 'ACT':
+            return { verb: 'act', card: cardName(action.cardInstanceId) };
+        case 'ATTACK':
+            return { verb: 'attack', from: action.attackerCircle, to: action.targetCircle, boost: action.boost };
+        case 'GUARD':
+            return { verb: 'guard', card: cardName(action.cardInstanceId) };
+        case 'INTERCEPT':
+            return { verb: 'intercept', card: cardName(action.cardInstanceId), circle: action.fromCircle };
+        case 'PLAY_ORDER':
+            return { verb: 'order', card: cardName(action.cardInstanceId) };
+        case 'ACTIVATE_EFFECT':
+            return { verb: 'activate', card: cardName(action.cardInstanceId) };
+        case 'CHOOSE':
+            return { verb: 'choose', card: action.description };
+        default:
+            return { verb: PASS_TYPES.includes(action.type) ? 'pass' : action.type.toLowerCase() };
+    }
+}
+
+/**
+ * @param {object} description - See describeAction.
+ * @returns {string} The command that selects the action.
+ */
+function formatCommand({ verb, card, circle, from, to, source, discard, boost, redraw }) {
+    switch (verb) {
+        case 'mulligan':
+            return ['mulligan', ...redraw.map(index => index + 1)].join(' ');
+        case 'ride':
+            return source === 'rideDeck' ? `ride ${card} from ridedeck discard ${discard}` : `ride ${card}`;
+        case 'call':
+            return `call ${card} ${circle}`;
+        case 'move':
+            return `move ${from} ${to}`;
+        case 'attack':
+            return `attack ${from} -> ${to}${boost ? ' boost' : ''}`;
+        case 'pass':
+            return 'pass';
+        default:
+            return card ? `${verb} ${card}` : verb;
+    }
+}
+
+/**
+ * Reads the arguments of a command.
+ * @param {string} verb
+ * @param {string[]} tokens - The words after the verb.
+ * @param {number} handSize - The size of the player's hand, for mulligan positions.
+ * @returns {{query?: object, error?: string}}
+ */
+function parseArguments(verb, tokens, handSize) {
+    const text = tokens.join(' ');
+    switch (verb) {
+        case 'mulligan': {
+            const positions = tokens.map(token => parseInt(token, 10));
+            if (positions.some(position => !(position >= 1 && position <= handSize))) {
+                return { error: `Hand positions go from 1 to ${handSize}.` };
+            }
+            return { query: { redraw: [...new Set(positions)].map(position => position - 1).sort((a, b) => a - b) } };
+        }
+        case 'ride': {
+            const match = text.match(/^(.*?)(?:\s*\bfrom\s+(hand|ride\s*deck))?(?:\s*\bdiscard\s+(.+))?$/i);
+            const source = match[2] && (match[2].toLowerCase() === 'hand' ? 'hand' : 'rideDeck');
+            return { query: { card: match[1].trim() || undefined, source, discard: match[3] } };
+        }
+        case 'call': {
+            const circle = CIRCLE_PATTERN.test(tokens.at(-1) ?? '') ? tokens.pop().toUpperCase() : undefined;
+            return { query: { card: tokens.join(' '), circle } };
+        }
+        case 'move': {
+            if (tokens.length === 0 || !tokens.every(token => CIRCLE_PATTERN.test(token))) {
+                return { error: 'Usage: move <circle> <circle>, e.g. "move R1 R3".' };
+            }
+            return { query: { circles: tokens.map(token => token.toUpperCase()) } };
+        }
+        case 'attack': {
+            const words = tokens.filter(token => token !== '->' && token.toLowerCase() !== 'to');
+            const boost = words.some(word => word.toLowerCase() === 'boost');
+            const circles = words.filter(word => word.toLowerCase() !== 'boost');
+            if (circles.length === 0 || circles.length > 2 || !circles.every(circle => CIRCLE_PATTERN.test(circle))) {
+                return { error: 'Usage: attack <circle> -> <circle> [boost], e.g. "attack V -> V boost".' };
+            }
+            return { query: { from: circles[0].toUpperCase(), to: circles[1]?.toUpperCase(), boost } };
+        }
+        case 'intercept':
+            return { query: tokens.length === 1 && CIRCLE_PATTERN.test(tokens[0]) ? { circle: tokens[0].toUpperCase() } : { card: text } };
+        case 'pass':
+            return { query: {} };
+        default:
+            return { query: { card: text } };
+    }
+}
+
+/**
+ * Keeps the candidates whose card (or discarded card) matches a name best.
+ * @param {object[]} candidates
+ * @param {'card' | 'discard'} field
+ * @param {string} query
+ * @param {string} verb - The command, for the error message.
+ * @returns {{candidates?: object[], error?: string}}
+ */
+function filterByName(candidates, field, query, verb) {
+    const names = [...new Set(candidates.map(candidate => candidate[field]).filter(Boolean))];
+    if (!query.trim()) return { error: `Which card? One of: ${names.join(', ')}.` };
+
+    const bestNames = findBestNames(query, names);
+    if (bestNames.length === 0) {
+        const role = field === 'discard' ? 'discard' : verb;
+        return { error: `You cannot ${role} "${query}" here. Possible cards: ${names.join(', ')}.` };
+    }
+    return { candidates: candidates.filter(candidate => bestNames.includes(candidate[field])) };
+}
+
+/**
+ * @param {object[]} actions - The legal actions.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @returns {object[]} Each action with its description and its index among the actions.
+ */
+function describeActions(actions, party, playerIndex) {
+    return actions.map((action, index) => ({ ...describeAction(action, party, playerIndex), action, index }));
+}
+
+/**
+ * Parses a command into one of the legal actions.
+ * @param {string} input - The command typed by the player.
+ * @param {object[]} actions - The legal actions.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @returns {{action?: object, error?: string, matches?: number[]}} The action, or an error. When the command matches
+ * several different actions (e.g. several ways to pay a cost), `matches` holds their indices.
+ */
+export function parseCommand(input, actions, party, playerIndex) {
+    const [verbToken = '', ...tokens] = input.trim().split(/\s+/);
+    const verb = ALIASES[verbToken.toLowerCase()] ?? verbToken.toLowerCase();
+    if (!COMMANDS.some(command => command.verb === verb)) {
+        return { error: `Unknown command "${verbToken}". Type "help" to see the commands.` };
+    }
+
+    const all = describeActions(actions, party, playerIndex).filter(candidate => candidate.verb === verb);
+    if (all.length === 0) return { error: `You cannot ${verb} now. Type "help" to see what you can do.` };
+
+    const { query, error } = parseArguments(verb, tokens, party.players[playerIndex].hand.length);
+    if (error) return { error };
+
+    let candidates = all;
+    if (query.redraw) candidates = candidates.filter(c => c.redraw.join() === query.redraw.join());
+    if (query.source) candidates = candidates.filter(c => c.source === query.source);
+    if (query.circle) candidates = candidates.filter(c => c.circle === query.circle);
+    if (query.circles) candidates = candidates.filter(c => query.circles.every(circle => circle === c.from || circle === c.to));
+    if (query.from) candidates = candidates.filter(c => c.from === query.from);
+    if (query.to) candidates = candidates.filter(c => c.to === query.to);
+    if (verb === 'attack') candidates = candidates.filter(c => c.boost === query.boost);
+    for (const field of ['card', 'discard']) {
+        if (query[field] === undefined || candidates.length === 0) continue;
+        const result = filterByName(candidates, field, query[field], verb);
+        if (result.error) return { error: result.error };
+        candidates = result.candidates;
+    }
+
+    if (candidates.length === 0) {
+        const legal = [...new Set(all.map(formatCommand))];
+        return { error: `"${input.trim()}" is not a legal action. Legal ${verb} commands: ${legal.slice(0, 10).join(' | ')}${legal.length > 10 ? ' | ...' : ''}` };
+    }
+
+    // Copies of the same card give the same action: any of them will do. Other differences need an option number.
+    const distinct = [...new Map(candidates.map(c => [`${formatCommand(c)}|${c.action.description ?? ''}`, c])).values()];
+    if (distinct.length > 1) {
+        return { error: `"${input.trim()}" matches several actions, enter the number of one of them:`, matches: distinct.map(c => c.index) };
+    }
+    return { action: distinct[0].action };
+}
+
+/**
+ * Completes a partial command, for readline's tab completion.
+ * @param {string} line - The text typed so far.
+ * @param {object[]} actions - The legal actions.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @param {string[]} [extraCommands=[]] - Other commands of the prompt, e.g. "undo".
+ * @returns {[string[], string]} The completions and the completed text, as readline expects.
+ */
+export function completeCommand(line, actions, party, playerIndex, extraCommands = []) {
+    const commands = [...new Set([...describeActions(actions, party, playerIndex).map(formatCommand), 'help', 'list', ...extraCommands])];
+    return [commands.filter(command => command.toLowerCase().startsWith(line.toLowerCase())), line];
+}
+
+/**
+ * Lists the commands that can be used now, each with an example.
+ * @param {object[]} actions - The legal actions.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @returns {string[]} The lines of the help.
+ */
+export function formatHelp(actions, party, playerIndex) {
+    const described = describeActions(actions, party, playerIndex);
+    const lines = COMMANDS
+        .map(command => ({ command, example: described.find(c => c.verb === command.verb) }))
+        .filter(({ example }) => example)
+        .map(({ command, example }) => `  ${command.usage.padEnd(52)}${command.help} e.g. "${formatCommand(example)}"`);
+    return [
+        ...lines,
+        `  ${'<number>'.padEnd(52)}Take the action with this option number.`,
+        `  ${'list'.padEnd(52)}Show every legal action with its number.`,
+        `  ${'help'.padEnd(52)}Show this help. Press Tab to complete a command.`,
+    ];
+}
@@ -0,0 +1,180 @@
+import PlayerController from './PlayerController.js';
+import { parseCommand, completeCommand, formatHelp } from './CommandParser.js';
+
+// Longer lists of legal actions are only shown on demand, with the "list" command.
+const MAX_LISTED_ACTIONS = 20;
+
+/**
+ * Builds the label of an action shown to a human player.
+ * @param {object} action - A legal action.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @returns {string}
+ */
+export function formatAction(action, party, playerIndex) {
+    // Actions reference cards by instance ID, see ActionManager.
+    const card = uniqueId => party.findCardInstance(uniqueId)?.card;
+    const cardName = uniqueId => {
+        const found = card(uniqueId);
+        return found ? `[G${found.grade}] ${found.name}` : 'Unknown Card';
+    };
+
+    switch (action.type) {
+        case 'MULLIGAN': {
+            const cardsToRedrawNames = action.cardInstanceIds.map(uniqueId => card(uniqueId)?.name || 'Unknown Card');
+            return `Redraw [${cardsToRedrawNames.join(', ') || 'None'}]`;
+        }
+        case 'RIDE': {
+            if (action.source !== 'rideDeck') return `Ride ${cardName(action.cardInstanceId)} from ${action.source}`;
+            return `Ride ${cardName(action.cardInstanceId)} from ${action.source} (discard ${cardName(action.discardInstanceId)})`;
+        }
+        case 'PASS_RIDE_PHASE':
+            return 'Pass Ride Phase';
+        case 'CALL':
+            return `Call ${cardName(action.cardInstanceId)} to ${action.circleTag}`;
+        case 'PASS_MAIN_PHASE':
+            return 'End Main Phase';
+        case 'ATTACK':
+            return `Attack with ${action.attackerCircle} targeting ${action.targetCircle}${action.boost ? ' (with Boost)' : ''}`;
+        case 'PASS_BATTLE_PHASE':
+            return 'End Battle Phase';
+        case 'GUARD': {
+            const guardian = card(action.cardInstanceId);
+            return `Guard with ${cardName(action.cardInstanceId)} (Shield: ${guardian?.shield})${guardian?.isSentinel ? ' [Sentinel]' : ''}`;
+        }
+        case 'INTERCEPT':
+            return `Intercept with ${cardName(action.cardInstanceId)} (Shield: ${card(action.cardInstanceId)?.currentShield})`;
+        case 'PASS_GUARD_STEP':
+            return 'Finish Guarding';
+        default:
+            // MOVE, ACT, PLAY_ORDER, ACTIVATE_EFFECT, PASS_EFFECT and CHOOSE describe themselves.
+            return action.description ?? action.type;
+    }
+}
+
+/**
+ * Describes the decision being taken, as the header of the prompt.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the deciding player.
+ * @returns {string}
+ */
+function formatHeader(party, playerIndex) {
+    if (party.pendingChoice) return `--- CHOICE: Player ${playerIndex + 1} ---`;
+    if (party.phase === 'effect_resolution') return `--- EFFECT RESOLUTION: Player ${playerIndex + 1} ---`;
+    if (party.phase === 'battle' && party.currentBattle?.step === 'guard') {
+        return `--- GUARD STEP: Player ${playerIndex + 1} is defending ---`;
+    }
+    return `==== TURN ${party.turn} - PLAYER ${playerIndex + 1} - ${party.phase.toUpperCase()} PHASE ====`;
+}
+
+/**
+ * Asks a question at the terminal. Once the input is closed (end of file, Ctrl+D), a question would wait forever
+ * and the process would quietly exit, so it fails instead.
+ * @param {readline.Interface} rl
+ * @param {string} query
+ * @returns {Promise<string>} The answer.
+ * @throws {Error} If the input is closed before the answer.
+ */
+function ask(rl, query) {
+    return new Promise((resolve, reject) => {
+        const onClose = () => reject(new Error('The input was closed.'));
+        rl.once('close', onClose);
+        rl.question(query).then(resolve, reject).finally(() => rl.off('close', onClose));
+    });
+}
+
+/**
+ * Asks a human player at the terminal. The game is shown from their point of view.
+ * The player enters a command (see CommandParser.js) or the number of an option.
+ * They can also enter "undo" or "redo" to take back their last decision or play it again (see GameEngine.undo),
+ * and, with a `saveGame` option, "save <file>" to save the game and go on playing.
+ * If the input is closed in the middle of the game, the player forfeits: chooseAction throws.
+ */
+class HumanController extends PlayerController {
+    /**
+     * @param {readline.Interface} rl - The readline interface for user input.
+     * @param {object} [options]
+     * @param {function(string, Party)} [options.saveGame] - Saves the game state to a file.
+     */
+    constructor(rl, { saveGame = null } = {}) {
+        super();
+        this.rl = rl;
+        this.saveGame = saveGame;
+        this.prompt = null; // The decision being asked, for tab completion
+    }
+
+    /**
+     * Completes the command being typed, for the `completer` option of readline.
+     * @param {string} line - The text typed so far.
+     * @returns {[string[], string]}
+     */
+    complete(line) {
+        if (!this.prompt) return [[], line];
+        const { party, playerIndex, actions } = this.prompt;
+        return completeCommand(line, actions, party, playerIndex, ['undo', 'redo', ...(this.saveGame ? ['save '] : [])]);
+    }
+
+    async chooseAction({ party, playerIndex }, actions) {
+        console.log(`\n${formatHeader(party, playerIndex)}`);
+        party.printState(playerIndex);
+        if (party.pendingChoice) console.log(`>>> ${party.pendingChoice.prompt}`);
+
+        const listActions = (indices = actions.map((action, index) => index)) => {
+            indices.forEach(index => console.log(`Option ${index}: ${formatAction(actions[index], party, playerIndex)}`));
+        };
+        console.log('\n--- Choose an action ---');
+        if (actions.length <= MAX_LISTED_ACTIONS) {
+            listActions();
+        } else {
+            console.log(`${actions.length} legal actions: enter "list" to see them all.`);
+        }
+
+        const commands = ['help', 'undo', 'redo', ...(this.saveGame ? ['save <file>'] : [])].map(command => `"${command}"`);
+        this.prompt = { party, playerIndex, actions };
+        try {
+            while (true) {
+                let answer;
+                try {
+                    answer = (await ask(this.rl, `\nPlayer ${playerIndex + 1}, enter a command or an option number (${commands.join(', ')}): `)).trim();
+                } catch (error) {
+                    throw new Error(`Player ${playerIndex + 1} forfeits. ${error.message}`);
+                }
+                if (answer === 'undo') return { type: 'UNDO' };
+                if (answer === 'redo') return { type: 'REDO' };
+                if (answer === 'help') {
+                    formatHelp(actions, party, playerIndex).forEach(line => console.log(line));
+                    continue;
+                }
+                if (answer === 'list') {
+                    listActions();
+                    continue;
+                }
+                const saveMatch = this.saveGame && answer.match(/^save\s+(.+)$/);
+                if (saveMatch) {
+                    try {
+                        this.saveGame(saveMatch[1], party);
+                        console.log(`Game saved to ${saveMatch[1]}.`);
+                    } catch (error) {
+                        console.log(`Could not save the game: ${error.message}`);
+                    }
+                    continue;
+                }
+                if (/^\d+$/.test(answer) || answer === '') {
+                    const choice = parseInt(answer, 10);
+                    if (choice >= 0 && choice < actions.length) return actions[choice];
+                    console.log(`Invalid choice, enter a number between 0 and ${actions.length - 1}, or a command.`);
+                    continue;
+                }
+
+                const { action, error, matches } = parseCommand(answer, actions, party, playerIndex);
+                if (action) return action;
+                console.log(error);
+                if (matches) listActions(matches);
+            }
+        } finally {
+            this.prompt = null;
+        }
+    }
+}
+
+export default HumanController;
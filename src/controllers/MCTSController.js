@@ -0,0 +1,22 @@
+import PlayerController from './PlayerController.js';
+import MCTS from '../ai/MCTS.js';
+
+/**
+ * A bot that chooses its actions with a Monte Carlo Tree Search.
+ */
+class MCTSController extends PlayerController {
+    /**
+     * @param {object} [options] - The search options, see MCTS.
+     */
+    constructor(options = {}) {
+        super();
+        this.mcts = new MCTS(options);
+    }
+
+    async chooseAction({ party }, actions) {
+        if (actions.length === 1) return actions[0];
+        return actions[await this.mcts.search(party)];
+    }
+}
+
+export default MCTSController;
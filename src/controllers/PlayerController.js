@@ -0,0 +1,19 @@
+/**
+ * @file PlayerController.js
+ * A player controller takes the decisions of one seat: a human at the terminal, a bot, or a script.
+ * The engine hands it a view of the game and the legal actions, and the controller returns one of them.
+ */
+
+class PlayerController {
+    /**
+     * Chooses the next action of the player.
+     * @param {{party: Party, playerIndex: number}} view - The game state and the index of the deciding player.
+     * @param {object[]} actions - The legal actions. Never empty.
+     * @returns {Promise<object>} One of `actions`.
+     */
+    async chooseAction(view, actions) {
+        throw new Error(`${this.constructor.name} does not implement chooseAction.`);
+    }
+}
+
+export default PlayerController;
@@ -0,0 +1,22 @@
+import PlayerController from './PlayerController.js';
+import Random from '../core/Random.js';
+
+/**
+ * A bot that picks one of the legal actions uniformly at random.
+ */
+class RandomController extends PlayerController {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.seed] - Seeds the choices of the bot.
+     */
+    constructor({ seed } = {}) {
+        super();
+        this.random = new Random(seed);
+    }
+
+    async chooseAction(view, actions) {
+        return this.random.pick(actions);
+    }
+}
+
+export default RandomController;
@@ -0,0 +1,41 @@
+import PlayerController from './PlayerController.js';
+
+/**
+ * Plays a fixed list of decisions, e.g. to replay a game or to set up a test situation.
+ * Each entry of the script is either the index of an action among the legal actions, or a pattern
+ * object: the first legal action whose fields match every field of the pattern is taken
+ * (e.g. `{ "type": "PASS_MAIN_PHASE" }` or `{ "type": "CALL", "circleTag": "R1" }`).
+ */
+class ScriptedController extends PlayerController {
+    /**
+     * @param {(number | object)[]} script - The decisions to play, in order.
+     * @param {object} [options]
+     * @param {PlayerController} [options.fallback] - Takes over once the script is over. Without it, running out of script is an error.
+     */
+    constructor(script, { fallback = null } = {}) {
+        super();
+        this.script = script;
+        this.position = 0;
+        this.fallback = fallback;
+    }
+
+    async chooseAction(view, actions) {
+        if (this.position >= this.script.length) {
+            if (this.fallback) return await this.fallback.chooseAction(view, actions);
+            throw new Error(`ScriptedController: the script of player ${view.playerIndex + 1} is over.`);
+        }
+
+        const entry = this.script[this.position];
+        const action = typeof entry === 'number'
+            ? actions[entry]
+            : actions.find(a => Object.entries(entry).every(([key, value]) => JSON.stringify(a[key]) === JSON.stringify(value)));
+        if (!action) {
+            throw new Error(`ScriptedController: decision ${this.position} (${JSON.stringify(entry)}) is not a legal action.`);
+        }
+
+        this.position++;
+        return action;
+    }
+}
+
+export default ScriptedController;
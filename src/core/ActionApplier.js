@@ -1,11 +1,15 @@
 import cloneDeep from './cloneDeep.js';
-import { effects as effectLibrary } from './EffectLibrary.js';
+import { resolveEffect, continueResolution, answerChoice } from './EffectInterpreter.js';
 import { evaluateCondition } from './ConditionEvaluator.js';
+import { payCost, getEffectiveCost, describePayment, emitCostEvents } from './CostManager.js';
+import { isOptionalEffect } from './ActionManager.js';
+import { applyContinuousEffects } from './ContinuousEffects.js';
+import { validateAction, IllegalActionError } from './ActionValidator.js';
 
 /**
  * Applies a 'MULLIGAN' action to the game state.
  * @param {Party} gameState - The current game state.
- * @param {object} action - The MULLIGAN action object { type, cardIdsToRedraw }.
+ * @param {object} action - The MULLIGAN action object { type, cardInstanceIds }: the cards to redraw.
  * @returns {Party} The new game state after the action.
  */
 function applyMulligan(gameState, action) {
@@ -16,8 +20,8 @@ function applyMulligan(gameState, action) {
     const cardsToRedraw = [];
 
     // Separate cards to keep and cards to redraw
-    activePlayer.hand.forEach((card, index) => {
-        if (action.cardIndicesToRedraw.includes(index)) {
+    activePlayer.hand.forEach(card => {
+        if (action.cardInstanceIds.includes(card.uniqueId)) {
             cardsToRedraw.push(card);
         } else {
             cardsToKeep.push(card);
@@ -35,6 +39,7 @@ function applyMulligan(gameState, action) {
     });
     activePlayer.deck.unshift(...cardsToRedraw); // Add to top of deck for shuffling
     activePlayer.hand = cardsToKeep;
+    cardsToRedraw.forEach(card => newGameState.emitEvent('ON_SENT_TO_DECK', { card, from: 'hand', to: 'deck' }));
 
     // Shuffle the deck
     newGameState.shuffleDeck(newGameState.currentPlayerIndex);
@@ -49,42 +54,51 @@ function applyMulligan(gameState, action) {
     } else {
         // Player 2 finished mulligan, now start Player 1's Stand Phase
         newGameState.currentPlayerIndex = 0;
-        newGameState.phase = 'stand';
+        newGameState.changePhase('stand');
     }
 
     return newGameState;
 }
 
+/**
+ * Takes a card of an action out of a zone.
+ * @param {Card[]} zone - The zone, e.g. the hand (mutated).
+ * @param {string} cardInstanceId
+ * @param {object} action - The action, for the error.
+ * @param {string} zoneName - e.g. 'hand', for the error.
+ * @param {string} [code='INVALID_CARD'] - The error code, see ActionValidator.
+ * @returns {Card} The card.
+ * @throws {IllegalActionError} If the card is not in the zone, which only a trusted action can get this far with.
+ */
+function takeCard(zone, cardInstanceId, action, zoneName, code = 'INVALID_CARD') {
+    const cardIndex = zone.findIndex(c => c.uniqueId === cardInstanceId);
+    if (cardIndex === -1) {
+        throw new IllegalActionError({ code, message: `${action.type}: card ${cardInstanceId} is not in the ${zoneName}.` }, action);
+    }
+    return zone.splice(cardIndex, 1)[0];
+}
+
 /**
  * Applies a 'CALL' action to the game state.
  * @param {Party} gameState - The current game state.
- * @param {object} action - The CALL action object { type, cardId, circleTag }.
+ * @param {object} action - The CALL action object { type, cardInstanceId, circleTag }.
  * @returns {Party} The new game state after the action.
  */
 function applyCall(gameState, action) {
     const newGameState = cloneDeep(gameState);
     const activePlayer = newGameState.players[newGameState.currentPlayerIndex];
 
-    const cardIndex = action.cardIndexInHand;
-    if (cardIndex < 0 || cardIndex >= activePlayer.hand.length) {
-        console.error(`ActionApplier Error: Card with index ${action.cardIndexInHand} not found in hand for CALL.`);
-        return gameState; // Return original state on error
-    }
-
-    const [cardToCall] = activePlayer.hand.splice(cardIndex, 1);
+    const cardToCall = takeCard(activePlayer.hand, action.cardInstanceId, action, 'hand');
     const targetCircle = activePlayer.board.getCircle(action.circleTag);
 
-    if (!targetCircle) {
-        console.error(`ActionApplier Error: Circle with tag ${action.circleTag} not found.`);
-        return gameState; // Return original state
-    }
-
     // If there's already a unit, it goes to the drop zone
     if (targetCircle.unit) {
         activePlayer.dropZone.push(targetCircle.unit);
+        newGameState.emitEvent('ON_SENT_TO_DROP', { card: targetCircle.unit, from: targetCircle.name, to: 'dropZone' });
     }
 
     targetCircle.unit = cardToCall;
+    newGameState.emitEvent('ON_CALL', { card: cardToCall, from: 'hand', to: targetCircle.name });
 
     return newGameState;
 }
@@ -108,6 +122,9 @@ function applyMove(gameState, action) {
     circle1.unit = circle2.unit;
     circle2.unit = tempUnit;
 
+    if (circle2.unit) newGameState.emitEvent('ON_MOVE', { card: circle2.unit, from: circle1.name, to: circle2.name });
+    if (circle1.unit) newGameState.emitEvent('ON_MOVE', { card: circle1.unit, from: circle2.name, to: circle1.name });
+
     return newGameState;
 }
 
@@ -117,44 +134,64 @@ function applyMove(gameState, action) {
  * @param {object} action - The GUARD action object.
  * @returns {Party} The new game state after the action.
  */
-function applyGuard(gameState, action, rl) {
+function applyGuard(gameState, action, log) {
     const newGameState = cloneDeep(gameState);
     const defendingPlayer = newGameState.players[1 - newGameState.currentPlayerIndex];
 
-    const cardIndex = defendingPlayer.hand.findIndex(c => c.uniqueId === action.cardInstanceId);
-    if (cardIndex === -1) {
-        console.error(`ActionApplier Error: Card with instance id ${action.cardInstanceId} not found in hand for GUARD.`);
-        return gameState;
-    }
-
-    const [cardToGuard] = defendingPlayer.hand.splice(cardIndex, 1);
+    const cardToGuard = takeCard(defendingPlayer.hand, action.cardInstanceId, action, 'hand');
     defendingPlayer.guardianZone.push(cardToGuard);
-    if (rl) console.log(`> Player ${1 - newGameState.currentPlayerIndex + 1} guards with ${cardToGuard.name}.`);
+    const defenderIndex = 1 - newGameState.currentPlayerIndex;
+    newGameState.emitEvent('ON_GUARD', { playerIndex: defenderIndex, causedBy: defenderIndex, card: cardToGuard, from: 'hand', to: 'GC' });
+    if (log) log(`> Player ${1 - newGameState.currentPlayerIndex + 1} guards with ${cardToGuard.name}.`);
 
     return newGameState;
 }
 
+/**
+ * Applies a 'PLAY_ORDER' action: the defending player plays a Blitz Order from hand during the guard step.
+ * The order is put into the order zone, its cost is paid, then its steps are resolved.
+ * @param {Party} gameState - The current game state.
+ * @param {object} action - The PLAY_ORDER action object { type, cardInstanceId, effectIndex, payment }.
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Promise<Party>} The new game state.
+ */
+async function applyPlayOrder(gameState, action, log) {
+    const newGameState = cloneDeep(gameState);
+    const playerIndex = 1 - newGameState.currentPlayerIndex;
+    const player = newGameState.players[playerIndex];
+
+    // The order is put into the order zone first, so it can't be discarded to pay its own cost.
+    const card = takeCard(player.hand, action.cardInstanceId, action, 'hand');
+    const effect = card.effectsData?.implemented_effects?.[action.effectIndex];
+    player.orderZone.push(card);
+    card.isPublic = true;
+
+    const receipt = payCost(player, getEffectiveCost(effect, newGameState, { playerIndex, source: card }), action.payment);
+    emitCostEvents(newGameState, playerIndex, receipt);
+
+    if (log) log(`> Player ${playerIndex + 1} plays ${card.name}.`);
+    await resolveEffect(newGameState, effect, { playerIndex, source: card }, log);
+    return newGameState;
+}
+
 /**
  * Applies an 'INTERCEPT' action to the game state.
  * @param {Party} gameState - The current game state.
  * @param {object} action - The INTERCEPT action object.
  * @returns {Party} The new game state after the action.
  */
-function applyIntercept(gameState, action, rl) {
+function applyIntercept(gameState, action, log) {
     const newGameState = cloneDeep(gameState);
     const defendingPlayer = newGameState.players[1 - newGameState.currentPlayerIndex];
 
     const circle = defendingPlayer.board.getCircle(action.fromCircle);
-    if (!circle || !circle.unit || circle.unit.uniqueId !== action.cardInstanceId) {
-        console.error(`ActionApplier Error: Unit with instance id ${action.cardInstanceId} not found on circle ${action.fromCircle} for INTERCEPT.`);
-        return gameState;
-    }
-
     const cardToIntercept = circle.unit;
     circle.unit = null; // Remove from board
     cardToIntercept.isResting = true; // Interceptors are moved to GC as rest
     defendingPlayer.guardianZone.push(cardToIntercept);
-    if (rl) console.log(`> Player ${1 - newGameState.currentPlayerIndex + 1} intercepts with ${cardToIntercept.name}.`);
+    const defenderIndex = 1 - newGameState.currentPlayerIndex;
+    newGameState.emitEvent('ON_INTERCEPT', { playerIndex: defenderIndex, causedBy: defenderIndex, card: cardToIntercept, from: action.fromCircle, to: 'GC' });
+    if (log) log(`> Player ${1 - newGameState.currentPlayerIndex + 1} intercepts with ${cardToIntercept.name}.`);
 
     return newGameState;
 }
@@ -165,130 +202,202 @@ function applyIntercept(gameState, action, rl) {
  * @param {object} action - The ACT action object.
  * @returns {Party} The new game state after the action.
  */
-async function applyAct(gameState, action, rl) {
+async function applyAct(gameState, action, log) {
     const newGameState = cloneDeep(gameState);
-    const activePlayer = newGameState.players[newGameState.currentPlayerIndex];
-    const { effect } = action;
+    const playerIndex = newGameState.currentPlayerIndex;
+    const activePlayer = newGameState.players[playerIndex];
 
-    // Check if player can pay the cost
-    if (effect.cost?.energy && activePlayer.energy < effect.cost.energy) {
-        console.log(`> Cannot activate: not enough energy.`);
-        return gameState; // Return original state if cost cannot be paid
-    }
+    const sourceCard = newGameState.findCardInstance(action.cardInstanceId)?.card;
+    const effect = sourceCard?.effectsData.implemented_effects[action.effectIndex];
+
+    // Pay the cost before anything else.
+    const paymentText = describePayment(activePlayer, action.payment);
+    const receipt = payCost(activePlayer, effect.cost, action.payment);
+    emitCostEvents(newGameState, playerIndex, receipt);
+    if (log && effect.cost) log(`> Paid cost${paymentText ? ` (${paymentText})` : ''}. Remaining energy: ${activePlayer.energy}`);
 
     // Mark as used if it's a 1/Turn effect
     if (effect.once_per_turn) {
-        activePlayer.usedTurnlyEffects.push(effect.function_index);
+        activePlayer.usedTurnlyEffects.push(`${sourceCard.uniqueId}:${action.effectIndex}`);
     }
 
-    // Execute the effect function
-    const effectFunction = effectLibrary[effect.function_index];
-    if (effectFunction) await effectFunction(newGameState, {}, rl);
+    await resolveEffect(newGameState, effect, { playerIndex, source: sourceCard }, log);
 
     return newGameState;
 }
 
 /**
- * Applies an 'ATTACK' action to the game state.
+ * The steps of a battle, in order. The guard step waits for the defending player; the other steps run automatically.
+ */
+const BATTLE_STEPS = ['attack', 'guard', 'drive', 'damage', 'close'];
+
+/**
+ * Applies an 'ATTACK' action: starts a battle and runs its attack step.
+ * The battle is stored in `currentBattle` by circle name and unit id, so that a unit leaving its circle is noticed.
  * @param {Party} gameState - The current game state.
- * @param {object} action - The ATTACK action object.
- * @returns {Party} The new game state after the action.
+ * @param {object} action - The ATTACK action object { type, attackerCircle, attackerInstanceId, targetCircle, targetInstanceId, boost }.
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Party} The new game state, in the attack step.
  */
-async function applyAttack(gameState, action, rl) {
+async function applyAttack(gameState, action, log) {
     let newGameState = cloneDeep(gameState);
     const activePlayer = newGameState.players[newGameState.currentPlayerIndex];
     const opponentPlayer = newGameState.players[1 - newGameState.currentPlayerIndex];
 
-    const attackerCircle = activePlayer.board.getCircle(action.attacker.name);
-    const targetCircle = opponentPlayer.board.getCircle(action.target.name);
+    const attackerCircle = activePlayer.board.getCircle(action.attackerCircle);
+    const targetCircle = opponentPlayer.board.getCircle(action.targetCircle);
 
-    if (!attackerCircle?.unit || !targetCircle?.unit) {
-        console.error('ActionApplier Error: Invalid attacker or target for ATTACK.');
-        return gameState;
-    }
+    const backRowCircleName = { 'R1': 'R3', 'V': 'R4', 'R2': 'R5' }[attackerCircle.name];
+    const boosterCircle = action.boost ? activePlayer.board.getCircle(backRowCircleName) : null;
+
+    // Start of battle
+    newGameState.currentBattle = {
+        step: 'attack',
+        attackerCircle: attackerCircle.name,
+        attackerId: attackerCircle.unit.uniqueId,
+        targetCircle: targetCircle.name,
+        targetId: targetCircle.unit.uniqueId,
+        boosterCircle: boosterCircle?.unit ? boosterCircle.name : null,
+        boosterId: boosterCircle?.unit?.uniqueId ?? null
+    };
+    newGameState.emitEvent('ON_ATTACK_STEP_START');
 
     // 1. Rest the attacker
     attackerCircle.unit.isResting = true;
+    newGameState.emitEvent('ON_ATTACK', {
+        card: attackerCircle.unit,
+        circle: attackerCircle.name,
+        target: targetCircle.unit,
+        targetCircle: targetCircle.name
+    });
 
-    let attackerPower = attackerCircle.unit.power + attackerCircle.unit.bonusPower;
-
-    // 2. Handle Boost
-    if (action.boost) {
-        const backRowCircleName = { 'R1': 'R3', 'V': 'R4', 'R2': 'R5' }[attackerCircle.name];
-        const boosterCircle = activePlayer.board.getCircle(backRowCircleName);
-        if (boosterCircle?.unit) {
-            boosterCircle.unit.isResting = true;
-            attackerPower += (boosterCircle.unit.power + boosterCircle.unit.bonusPower);
-            if (rl) console.log(`> ${boosterCircle.unit.name} boosts ${attackerCircle.unit.name}! New power: ${attackerPower}`);
-        }
+    // 2. Handle Boost. The booster's power is added to the attacker for the whole battle, see getAttackingPower.
+    if (boosterCircle?.unit) {
+        boosterCircle.unit.isResting = true;
+        newGameState.emitEvent('ON_BOOST', { card: boosterCircle.unit, circle: boosterCircle.name, boosted: attackerCircle.unit });
+        if (log) log(`> ${boosterCircle.unit.name} boosts ${attackerCircle.unit.name}! New power: ${newGameState.getAttackingPower()}`);
     }
 
-    // Store battle information in the game state to be used across phases
-    newGameState.currentBattle = {
-        attackerCircle,
-        targetCircle,
-        attackerPower
-    };
-
-    // 3. Transition to Guard Step
-    newGameState.phase = 'guard';
-
     return newGameState;
 }
 
 /**
- * Applies the final step of a battle after checks are done.
- * @param {Party} gameState - The current game state.
- * @param {readline.Interface} rl - The readline interface.
- * @returns {Party} The new game state.
+ * Enters a step of the current battle: emits ON_<STEP>_STEP_START and runs the automatic part of the step.
+ * @param {Party} party - The game state (mutated).
+ * @param {string} step - One of BATTLE_STEPS.
+ * @param {function(string)} [log] - Receives the game log messages.
  */
-async function applyCloseStep(gameState, rl) {
-    const newGameState = cloneDeep(gameState);
-    const { attackerCircle, targetCircle, attackerPower } = newGameState.currentBattle;
-    const opponentPlayer = newGameState.players[1 - newGameState.currentPlayerIndex];
+async function enterBattleStep(party, step, log) {
+    party.currentBattle.step = step;
+    party.emitEvent(`ON_${step.toUpperCase()}_STEP_START`);
+
+    switch (step) {
+        case 'drive': {
+            // Only a vanguard performs drive checks.
+            const { attacker } = party.getBattleUnits();
+            if (attacker && party.currentBattle.attackerCircle === 'V') {
+                await party.driveCheck(attacker.drive, log);
+            }
+            break;
+        }
+        case 'damage':
+            await resolveHit(party, log);
+            break;
+        case 'close': {
+            // Guardians are retired at the close step
+            const defenderIndex = 1 - party.currentPlayerIndex;
+            const defendingPlayer = party.players[defenderIndex];
+            defendingPlayer.dropZone.push(...defendingPlayer.guardianZone);
+            defendingPlayer.guardianZone.forEach(card => party.emitEvent('ON_SENT_TO_DROP', {
+                playerIndex: defenderIndex,
+                card,
+                from: 'GC',
+                to: 'dropZone'
+            }));
+            defendingPlayer.guardianZone = [];
+            break;
+        }
+    }
+}
+
+/**
+ * Damage step: compares the powers and applies the hit (damage checks for a vanguard, retire for a rear-guard).
+ * @param {Party} party - The game state (mutated).
+ * @param {function(string)} [log] - Receives the game log messages.
+ */
+async function resolveHit(party, log) {
+    applyContinuousEffects(party);
+    const defenderIndex = 1 - party.currentPlayerIndex;
+    const defendingPlayer = party.players[defenderIndex];
+    const { attacker, target } = party.getBattleUnits();
+    const { targetCircle } = party.currentBattle;
+
+    // A battle whose attacker or target left its circle does not hit.
+    if (!attacker || !target) {
+        if (log) log('> The attacking or attacked unit has left the field, the attack does not hit.');
+        return;
+    }
 
-    const totalShield = opponentPlayer.guardianZone.reduce((sum, card) => sum + (card.shield || 0), 0);
-    const targetPower = targetCircle.unit.power + targetCircle.unit.bonusPower + totalShield;
+    const attackerPower = party.getAttackingPower();
+    const totalShield = defendingPlayer.guardianZone.reduce((sum, card) => sum + card.currentShield, 0);
+    const targetPower = target.currentPower + totalShield;
 
-    if (rl) console.log(`> Resolving attack: Attacker power ${attackerPower} vs Target power ${targetPower}`);
+    if (log) log(`> Resolving attack: Attacker power ${attackerPower} vs Target power ${targetPower}`);
 
-    if (attackerPower >= targetPower) {
-        if (rl) console.log('> Attack Hits!');
-        if (targetCircle.name === 'V') {
-            const damage = attackerCircle.unit.critical + attackerCircle.unit.bonusCritical;
-            if (rl) console.log(`> Vanguard takes ${damage} damage.`);
-            if (rl) await newGameState.damageCheck(1 - newGameState.currentPlayerIndex, damage, rl);
+    if (target.cannotBeHit) {
+        if (log) log(`> ${target.name} cannot be hit.`);
+    } else if (attackerPower >= targetPower) {
+        if (log) log('> Attack Hits!');
+        if (targetCircle === 'V') {
+            const damage = attacker.currentCritical;
+            if (log) log(`> Vanguard takes ${damage} damage.`);
+            await party.damageCheck(defenderIndex, damage, log);
         } else {
-            if (rl) console.log(`> Rear-guard ${targetCircle.unit.name} is retired.`);
-            opponentPlayer.dropZone.push(targetCircle.unit);
-            targetCircle.unit = null;
+            if (log) log(`> Rear-guard ${target.name} is retired.`);
+            defendingPlayer.dropZone.push(target);
+            party.emitEvent('ON_SENT_TO_DROP', {
+                playerIndex: defenderIndex,
+                card: target,
+                from: targetCircle,
+                to: 'dropZone'
+            });
+            defendingPlayer.board.getCircle(targetCircle).unit = null;
         }
     } else {
-        if (rl) console.log('> Attack does not hit.');
+        if (log) log('> Attack does not hit.');
     }
+}
 
-    // End of battle: move guardians to drop zone
-    opponentPlayer.dropZone.push(...opponentPlayer.guardianZone);
-    opponentPlayer.guardianZone = [];
-    newGameState.currentBattle = null; // Clear battle info
+/**
+ * Ends the current battle after its close step: "until end of that battle" effects expire,
+ * then the battle phase goes on, or ends if no unit can attack anymore.
+ * @param {Party} party - The game state (mutated).
+ */
+function endBattle(party) {
+    party.players.forEach(player => {
+        [...player.board.frontRow, ...player.board.backRow].forEach(c => {
+            if (!c.unit) return;
+            c.unit.battlePower = 0;
+            c.unit.battleCritical = 0;
+            c.unit.cannotBeHit = false;
+        });
+    });
+    party.emitEvent('ON_BATTLE_END');
+    party.currentBattle = null;
 
     // Check if there are any more units that can attack
-    const activePlayer = newGameState.players[newGameState.currentPlayerIndex];
+    const activePlayer = party.players[party.currentPlayerIndex];
     const potentialAttackers = activePlayer.board.frontRow.filter(c => c.unit && !c.unit.isResting);
     if (potentialAttackers.length === 0) {
-        newGameState.phase = 'end'; // No more attackers, end battle phase
-    } else {
-        newGameState.phase = 'battle'; // Return to battle phase for next attack
+        party.changePhase('end'); // No more attackers, end battle phase
     }
-
-    return newGameState;
 }
 
 
 /**
  * Applies a 'RIDE' action to the game state.
  * @param {Party} gameState - The current game state.
- * @param {object} action - The RIDE action object { type, cardId, source }.
+ * @param {object} action - The RIDE action object { type, source, cardInstanceId, discardInstanceId }.
  * @returns {Party} The new game state after the action.
  */
 function applyRide(gameState, action) {
@@ -297,48 +406,35 @@ function applyRide(gameState, action) {
 
     let cardToRide;
     if (action.source === 'hand') {
-        const cardIndex = activePlayer.hand.findIndex(c => c.id === action.cardId);
-        if (cardIndex === -1) {
-            console.error(`ActionApplier Error: Card with id ${action.cardId} not found in hand for RIDE.`);
-            return gameState;
-        }
-        [cardToRide] = activePlayer.hand.splice(cardIndex, 1);
-    } else if (action.source === 'rideDeck') {
-        const cardIndex = activePlayer.rideDeck.findIndex(c => c.id === action.cardId);
-        if (cardIndex === -1) {
-            console.error(`ActionApplier Error: Card with id ${action.cardId} not found in ride deck for RIDE.`);
-            return gameState;
-        }
-        [cardToRide] = activePlayer.rideDeck.splice(cardIndex, 1);
+        cardToRide = takeCard(activePlayer.hand, action.cardInstanceId, action, 'hand');
+    } else { // From the ride deck
+        cardToRide = takeCard(activePlayer.rideDeck, action.cardInstanceId, action, 'ride deck');
 
         // Discard a card from hand as part of the cost
-        const discardCardIndex = activePlayer.hand.findIndex(c => c.id === action.discardCardId);
-        if (discardCardIndex === -1) {
-            console.error(`ActionApplier Error: Card to discard with id ${action.discardCardId} not found in hand.`);
-            return gameState;
-        }
-        const [discardedCard] = activePlayer.hand.splice(discardCardIndex, 1);
+        const discardedCard = takeCard(activePlayer.hand, action.discardInstanceId, action, 'hand', 'INVALID_DISCARD');
         activePlayer.dropZone.push(discardedCard);
-    } else {
-        console.error(`ActionApplier Error: Unknown source for RIDE action: ${action.source}.`);
-        return gameState;
+        newGameState.emitEvent('ON_DISCARD', { card: discardedCard, from: 'hand', to: 'dropZone' });
+        newGameState.emitEvent('ON_SENT_TO_DROP', { card: discardedCard, from: 'hand', to: 'dropZone' });
     }
 
     const vanguardCircle = activePlayer.board.getCircle('V');
     if (vanguardCircle.unit) {
         activePlayer.soul.push(vanguardCircle.unit); // Move current vanguard to soul
+        newGameState.emitEvent('ON_SENT_TO_SOUL', { card: vanguardCircle.unit, from: 'V', to: 'soul' });
 
         // Push the ON_RIDE event to the queue
-        newGameState.eventQueue.push({
-            type: 'ON_RIDE',
-            target: [vanguardCircle.unit, cardToRide] // [card ridden upon, new card]
+        newGameState.emitEvent('ON_RIDE', {
+            card: cardToRide,
+            from: action.source,
+            to: 'V',
+            ridden: vanguardCircle.unit, // The card ridden upon
+            rider: cardToRide // The new vanguard
         });
     }
     vanguardCircle.unit = cardToRide; // Place new card as vanguard
 
-    // The next phase will be determined by the event processor after handling ON_RIDE.
-    // We set it here, and processEvents will use it after the queue is clear.
-    newGameState.nextPhase = 'main'; 
+    // The ON_RIDE event and the phase change events are resolved by processEvents.
+    newGameState.changePhase('main');
     return newGameState;
 }
 
@@ -349,6 +445,7 @@ function applyRide(gameState, action) {
  */
 function applyPassRidePhase(gameState) {
     const newGameState = cloneDeep(gameState);
+    newGameState.changePhase('main');
     return newGameState;
 }
 
@@ -361,66 +458,89 @@ function collectEffectsForEvent(event, party) {
     for (let i = 0; i < party.players.length; i++) {
         const player = party.players[i];
         allCardsInPlay.push(
-            ...player.board.frontRow.map(c => ({ card: c.unit, zone: 'board', ownerIndex: i })),
-            ...player.board.backRow.map(c => ({ card: c.unit, zone: 'board', ownerIndex: i })),
+            ...player.board.frontRow.map(c => ({ card: c.unit, zone: c.name === 'V' ? 'VC' : 'RC', ownerIndex: i })),
+            ...player.board.backRow.map(c => ({ card: c.unit, zone: 'RC', ownerIndex: i })),
+            ...player.guardianZone.map(c => ({ card: c, zone: 'GC', ownerIndex: i })),
+            ...player.hand.map(c => ({ card: c, zone: 'hand', ownerIndex: i })),
             ...player.rideDeck.map(c => ({ card: c, zone: 'rideDeck', ownerIndex: i })),
             ...player.crestZone.map(c => ({ card: c, zone: 'crestZone', ownerIndex: i })),
-            ...player.soul.map(c => ({ card: c, zone: 'soul', ownerIndex: i }))
+            ...player.soul.map(c => ({ card: c, zone: 'soul', ownerIndex: i })),
+            ...player.dropZone.map(c => ({ card: c, zone: 'dropZone', ownerIndex: i }))
         );
     }
 
     for (const { card, zone, ownerIndex } of allCardsInPlay.filter(item => item.card)) {
-        if (card.effectsData?.implemented_effects) {
-            for (const effect of card.effectsData.implemented_effects) {
-                if (effect.trigger !== eventTriggerName) continue;
-                if (effect.zone && effect.zone !== zone) continue;
-                // For now, assume effects only trigger for their owner.
-                if (ownerIndex !== party.currentPlayerIndex) continue;
-                if (!evaluateCondition(effect.condition, party)) continue;
-
-                pendingEffects.push({
-                    cardName: card.name,
-                    cardId: card.id, // Using non-unique ID for effect definition matching
-                    effect: effect,
-                    eventPayload: event
-                });
-            }
-        }
+        const implementedEffects = card.effectsData?.implemented_effects ?? [];
+        implementedEffects.forEach((effect, effectIndex) => {
+            if (effect.trigger !== eventTriggerName) return;
+            // Without a zone, the effect is active while the card is on (VC) or (RC).
+            const isActiveZone = effect.zone ? effect.zone === zone : (zone === 'VC' || zone === 'RC');
+            if (!isActiveZone) return;
+            // The events of both players are checked against the abilities of both players: an ability that
+            // only triggers on its owner's events ("At the start of your ride phase") says so in its condition,
+            // with ["event.playerIndex", "===", { "ref": "player.index" }].
+            if (!evaluateCondition(effect.condition, party, { playerIndex: ownerIndex, event, source: card })) return;
+
+            pendingEffects.push({
+                cardName: card.name,
+                cardId: card.id,
+                sourceInstanceId: card.uniqueId,
+                effectIndex: effectIndex,
+                ownerIndex: ownerIndex,
+                effect: effect
+            });
+        });
     }
     return pendingEffects;
 }
 
-async function applyActivateEffect(gameState, action, rl) {
+/**
+ * Finds the pending effect of the current event matching the identifiers carried by an action.
+ * @param {object} currentEvent - The event at the head of the queue.
+ * @param {object} action - The ACTIVATE_EFFECT action { cardInstanceId, effectIndex }.
+ * @returns {object | undefined}
+ */
+function findPendingEffect(currentEvent, action) {
+    return currentEvent?.pendingEffects?.find(p =>
+        p.sourceInstanceId === action.cardInstanceId && p.effectIndex === action.effectIndex
+    );
+}
+
+/**
+ * Resolves a pending effect: runs its steps for its owner, with its source card and triggering event.
+ * @param {Party} party - The game state (mutated).
+ * @param {object} event - The event that triggered the effect, at the head of the queue.
+ * @param {object} pendingEffect - An entry of `event.pendingEffects`.
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Promise<boolean>} True if the effect is fully resolved, false if it waits for a choice.
+ */
+async function resolvePendingEffect(party, event, pendingEffect, log) {
+    const source = party.findCardInstance(pendingEffect.sourceInstanceId)?.card;
+    return await resolveEffect(party, pendingEffect.effect, {
+        playerIndex: pendingEffect.ownerIndex,
+        source,
+        event
+    }, log);
+}
+
+async function applyActivateEffect(gameState, action, log) {
     const newGameState = cloneDeep(gameState);
-    const { effectToActivate } = action;
     const currentEvent = newGameState.eventQueue[0];
 
     // Find the original full pending effect object using the simplified info from the action.
-    // This is necessary to retrieve the eventPayload and cardName.
-    const originalPendingEffect = currentEvent?.pendingEffects.find(p =>
-        p.cardId === effectToActivate.cardId && p.effect.function_index === effectToActivate.effect.function_index
-    );
+    // This is necessary to retrieve the effect and cardName.
+    const originalPendingEffect = findPendingEffect(currentEvent, action);
 
-    if (!originalPendingEffect) {
-        console.error('ActionApplier Error: Could not find the original pending effect to activate.');
-        return gameState;
-    }
+    // Pay the cost first, for the player who owns the effect.
+    const owner = newGameState.players[originalPendingEffect.ownerIndex];
+    const receipt = payCost(owner, originalPendingEffect.effect.cost, action.payment);
+    emitCostEvents(newGameState, originalPendingEffect.ownerIndex, receipt);
 
-    const effectFunction = effectLibrary[effectToActivate.effect.function_index];
-    if (effectFunction) {
-        if (rl) console.log(`> Activating effect of ${originalPendingEffect.cardName}`);
-        await effectFunction(newGameState, originalPendingEffect.eventPayload, rl);
-    }
+    // Remove the activated effect from the pending list before resolving it
+    currentEvent.pendingEffects.splice(currentEvent.pendingEffects.indexOf(originalPendingEffect), 1);
 
-    // Remove the activated effect from the pending list for the current event
-    if (currentEvent && currentEvent.pendingEffects) {
-        const indexToRemove = currentEvent.pendingEffects.findIndex(p => 
-            p.cardId === effectToActivate.cardId && p.effect.function_index === effectToActivate.effect.function_index
-        );
-        if (indexToRemove > -1) {
-            currentEvent.pendingEffects.splice(indexToRemove, 1);
-        }
-    }
+    if (log) log(`> Activating effect of ${originalPendingEffect.cardName}`);
+    await resolvePendingEffect(newGameState, currentEvent, originalPendingEffect, log);
 
     return newGameState;
 }
@@ -430,22 +550,30 @@ function applyPassEffect(gameState, action) {
     const currentEvent = newGameState.eventQueue[0];
 
     if (currentEvent && currentEvent.pendingEffects) {
-        // Passing means we clear all OPTIONAL effects for the current event.
-        // Mandatory ones must be resolved.
-        currentEvent.pendingEffects = currentEvent.pendingEffects.filter(p => p.effect.mandatory);
+        // Passing means the deciding player clears all of their OPTIONAL effects for the current event.
+        // Mandatory ones must be resolved, and the other player's effects are left untouched.
+        const decidingPlayerIndex = newGameState.getDecidingPlayerIndex();
+        currentEvent.pendingEffects = currentEvent.pendingEffects.filter(p =>
+            p.ownerIndex !== decidingPlayerIndex || !isOptionalEffect(p.effect)
+        );
     }
     
     return newGameState;
 }
 
 /**
- * After an action, this function checks the event queue and resolves any mandatory effects
- * or sets the phase to 'effect_resolution' if there are optional effects.
+ * After an action, this function checks the event queue and resolves the triggered effects in rule order:
+ * the turn player's effects first, then the non-turn player's. A lone mandatory effect is resolved automatically;
+ * otherwise the phase is set to 'effect_resolution' so that the owner chooses which effect to resolve next.
+ * The interrupted phase is remembered and restored once the queue is empty.
  * @param {Party} gameState 
- * @param {*} rl 
+ * @param {function(string)} [log] - Receives the game log messages.
  */
-async function processEvents(gameState, rl) {
+async function processEvents(gameState, log) {
     let party = gameState;
+    // Abilities triggered while an effect resolves wait until it is over.
+    if (party.resolution) return party;
+
     while (party.eventQueue.length > 0) {
         const currentEvent = party.eventQueue[0];
         
@@ -454,25 +582,28 @@ async function processEvents(gameState, rl) {
             currentEvent.pendingEffects = collectEffectsForEvent(currentEvent, party);
         }
 
-        const mandatoryEffects = currentEvent.pendingEffects.filter(p => p.effect.mandatory);
-        const optionalEffects = currentEvent.pendingEffects.filter(p => !p.effect.mandatory);
+        const resolvableEffects = party.getResolvablePendingEffects();
 
-        if (mandatoryEffects.length > 0) {
-            // Auto-resolve the first mandatory effect
-            const effectToResolve = mandatoryEffects[0];
-            if (rl) console.log(`> Auto-activating mandatory effect of ${effectToResolve.cardName}`);
+        if (resolvableEffects.length === 1 && !isOptionalEffect(resolvableEffects[0].effect)) {
+            // A single mandatory effect leaves no choice: auto-resolve it
+            const effectToResolve = resolvableEffects[0];
+            if (log) log(`> Auto-activating mandatory effect of ${effectToResolve.cardName}`);
 
-            const effectFunction = effectLibrary[effectToResolve.effect.function_index];
             // Remove from pending BEFORE applying, to prevent infinite loops if the effect adds new events.
             currentEvent.pendingEffects.splice(currentEvent.pendingEffects.indexOf(effectToResolve), 1);
 
-            await effectFunction(party, effectToResolve.eventPayload, rl);
+            const resolved = await resolvePendingEffect(party, currentEvent, effectToResolve, log);
+            applyContinuousEffects(party);
+            if (!resolved) return party;
             continue;
         }
 
-        if (optionalEffects.length > 0) {
+        if (resolvableEffects.length > 0) {
             // There are choices to be made, so we enter the effect resolution phase and wait for player/AI input.
-            party.phase = 'effect_resolution';
+            if (party.phase !== 'effect_resolution') {
+                party.interruptedPhase = party.phase;
+                party.phase = 'effect_resolution';
+            }
             return party;
         }
 
@@ -480,67 +611,219 @@ async function processEvents(gameState, rl) {
         party.eventQueue.shift();
     }
 
-    // If the queue is empty, we can proceed to the phase that was set before event processing.
-    party.phase = party.nextPhase || 'main';
+    // If the queue is empty, we go back to the phase that was interrupted by effect resolution.
+    if (party.phase === 'effect_resolution') {
+        party.phase = party.interruptedPhase;
+        party.interruptedPhase = null;
+    }
     return party;
 }
 
 
+/**
+ * Applies a 'CHOOSE' action: answers the choice an effect is waiting for, then goes on resolving the effect.
+ * @param {Party} gameState - The current game state.
+ * @param {object} action - The CHOOSE action object { type, index }.
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Promise<Party>} The new game state.
+ */
+async function applyChoose(gameState, action, log) {
+    const newGameState = cloneDeep(gameState);
+    const { playerIndex, options } = newGameState.pendingChoice ?? {};
+    answerChoice(newGameState, action.index);
+
+    if (log) log(`> Player ${playerIndex + 1} chooses ${options[action.index]}.`);
+    await continueResolution(newGameState, log);
+    return newGameState;
+}
+
+/**
+ * Runs the phases that need no decision: stand, draw, end, the hand-over to the next player,
+ * and the battle phase of the first turn, which is skipped.
+ * @param {Party} party - The game state (mutated).
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {boolean} True if the phase was run, false if the current phase waits for a player.
+ */
+function runAutomaticPhase(party, log) {
+    const playerIndex = party.currentPlayerIndex;
+    const activePlayer = party.players[playerIndex];
+    const banner = phase => {
+        if (log) log(`\n==== TURN ${party.turn} - PLAYER ${playerIndex + 1} - ${phase} PHASE ====`);
+    };
+
+    switch (party.phase) {
+        case 'stand': {
+            banner('STAND');
+            const standUnit = circle => {
+                if (circle.unit?.isResting) {
+                    circle.unit.isResting = false;
+                    party.emitEvent('ON_STAND', { card: circle.unit, circle: circle.name });
+                }
+            };
+            activePlayer.board.frontRow.forEach(standUnit);
+            activePlayer.board.backRow.forEach(standUnit);
+            if (log) log(`All units for Player ${playerIndex + 1} are standing.`);
+            party.changePhase('draw');
+            return true;
+        }
+        case 'draw':
+            banner('DRAW');
+            party.draw(playerIndex, 1);
+            if (log) log(`Player ${playerIndex + 1} draws a card.`);
+            party.changePhase('ride');
+            return true;
+        case 'battle':
+            // The first player does not battle on the first turn.
+            if (party.turn !== 1 || party.currentBattle) return false;
+            if (log) log('\n--- Battle Phase is skipped on Turn 1 ---');
+            party.changePhase('end');
+            return true;
+        case 'end':
+            banner('END');
+            // Reset all "until end of turn" effects for BOTH players.
+            party.players.forEach(player => {
+                [...player.board.frontRow, ...player.board.backRow].forEach(c => {
+                    if (!c.unit) return;
+                    c.unit.bonusPower = 0;
+                    c.unit.bonusCritical = 0;
+                });
+            });
+            // At the end of the turn, cards in the current player's hand are no longer considered public knowledge
+            // from events like drive checks during their turn.
+            activePlayer.hand.forEach(card => {
+                card.isPublic = false;
+            });
+            if (log) log(`Player ${playerIndex + 1} ends their turn.`);
+            // Leaving the end phase emits ON_END_PHASE_END and ON_TURN_END, which still belong to this turn.
+            party.changePhase('turn_end');
+            return true;
+        case 'turn_end':
+            party.nextTurn();
+            party.switchPlayer();
+            if (log) log(`\n\n<<<<<<<<<< TURN ${party.turn} - PLAYER ${party.currentPlayerIndex + 1} >>>>>>>>>>`);
+            party.changePhase('stand');
+            return true;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Moves the game forward until a player has to decide: resolves the pending events, runs the automatic
+ * steps of the current battle and the automatic phases. It stops on a pending choice, an effect resolution,
+ * a phase that waits for a player, or the end of the game.
+ * @param {Party} gameState - The game state (mutated).
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Promise<Party>} The game state.
+ */
+async function advanceGame(gameState, log) {
+    let party = gameState;
+    while (true) {
+        applyContinuousEffects(party);
+        party = await processEvents(party, log);
+        if (party.pendingChoice || party.phase === 'effect_resolution' || party.isGameOver()) return party;
+
+        if (party.phase === 'battle' && party.currentBattle && party.currentBattle.step !== 'guard') {
+            const { step } = party.currentBattle;
+            if (step === 'close') {
+                endBattle(party);
+            } else {
+                await enterBattleStep(party, BATTLE_STEPS[BATTLE_STEPS.indexOf(step) + 1], log);
+            }
+            continue;
+        }
+
+        if (!runAutomaticPhase(party, log)) return party;
+    }
+}
+
 /**
  * Main dispatcher function to apply an action to the game state.
+ * [CONT] effects are re-derived on the resulting state, so it is always consistent.
+ * The appliers expect a legal action, so the action is validated first, unless the caller took it
+ * from getPossibleActions of this state itself (GameEngine.step, the MCTS playouts).
+ * @param {Party} gameState - The current game state.
+ * @param {object} action - The action to apply.
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @param {object} [options]
+ * @param {boolean} [options.trusted=false] - Skips the validation: the action is known to be legal.
+ * @returns {Promise<Party>} The new game state.
+ * @throws {IllegalActionError} If the action is not legal in the game state, see validateAction.
+ */
+export async function applyAction(gameState, action, log, { trusted = false } = {}) {
+    if (!trusted) {
+        const error = validateAction(gameState, action);
+        if (error) throw new IllegalActionError(error, action);
+    }
+
+    const newGameState = await dispatchAction(gameState, action, log);
+    return applyContinuousEffects(newGameState);
+}
+
+/**
+ * Applies an action with the applier matching its type, then processes the resulting events.
  * @param {Party} gameState - The current game state.
  * @param {object} action - The action to apply.
  * @returns {Party} The new game state.
  */
-export async function applyAction(gameState, action, rl) {
+async function dispatchAction(gameState, action, log) {
     let newGameState;
-    let postActionPhase = null; // The phase to go to after the action and its events are resolved.
 
     switch (action.type) {
         case 'MULLIGAN':
-            return applyMulligan(gameState, action);
+            newGameState = applyMulligan(gameState, action);
+            break;
         case 'RIDE':
             newGameState = applyRide(gameState, action);
-            postActionPhase = 'main';
             break;
         case 'PASS_RIDE_PHASE':
             newGameState = applyPassRidePhase(gameState);
-            postActionPhase = 'main';
             break;
         case 'CALL':
-            return applyCall(gameState, action);
+            newGameState = applyCall(gameState, action);
+            break;
         case 'ACT':
-            newGameState = await applyAct(gameState, action, rl);
+            newGameState = await applyAct(gameState, action, log);
             break;
         case 'ACTIVATE_EFFECT':
-            newGameState = await applyActivateEffect(gameState, action, rl);
+            newGameState = await applyActivateEffect(gameState, action, log);
             break;
         case 'MOVE':
-            return applyMove(gameState, action);
+            newGameState = applyMove(gameState, action);
+            break;
         case 'ATTACK':
-            newGameState = await applyAttack(gameState, action, rl);
+            newGameState = await applyAttack(gameState, action, log);
             break;
         case 'GUARD':
-            return applyGuard(gameState, action, rl);
+            newGameState = applyGuard(gameState, action, log);
+            break;
         case 'INTERCEPT':
-            return applyIntercept(gameState, action, rl);
+            newGameState = applyIntercept(gameState, action, log);
+            break;
+        case 'PLAY_ORDER':
+            newGameState = await applyPlayOrder(gameState, action, log);
+            break;
         case 'PASS_EFFECT':
-            return applyPassEffect(gameState, action);
+            newGameState = applyPassEffect(gameState, action);
+            break;
+        case 'CHOOSE':
+            newGameState = await applyChoose(gameState, action, log);
+            break;
         case 'PASS_MAIN_PHASE': {
             newGameState = cloneDeep(gameState);
-            postActionPhase = 'battle';
+            newGameState.changePhase('battle');
             break;
         }
 
         case 'PASS_BATTLE_PHASE': {
             newGameState = cloneDeep(gameState);
-            postActionPhase = 'end';
+            newGameState.changePhase('end');
             break;
         }
 
         case 'PASS_GUARD_STEP': {
             newGameState = cloneDeep(gameState);
-            postActionPhase = 'drive_check';
+            await enterBattleStep(newGameState, 'drive', log);
             break;
         }
 
@@ -557,16 +840,7 @@ export async function applyAction(gameState, action, rl) {
             break;
     }
 
-    // If an action resulted in a state that needs event processing, do it now.
+    // Any action may have emitted events: resolve them now, or stop and wait for a choice.
     // This is crucial for effect resolution loops.
-    if (action.type === 'ACTIVATE_EFFECT' || action.type === 'PASS_EFFECT') {
-        return await processEvents(newGameState, rl);
-    } else if (postActionPhase) {
-        newGameState.nextPhase = postActionPhase;
-        return await processEvents(newGameState, rl);
-    }
-
-    return newGameState;
+    return await advanceGame(newGameState, log);
 }
-
-export { applyCloseStep };
\ No newline at end of file
@@ -3,9 +3,55 @@
  * This module is responsible for generating all possible actions for a given game state.
  * The core idea is to have pure functions that take a state and return a list of
  * possible next actions, without modifying the original state.
+ *
+ * Actions are plain JSON objects: card instances are referenced by their instance ID (`uniqueId`) and circles
+ * by name, so an action stays valid on a copy of the state and can be saved or sent as is. Each action has a
+ * `type` and the fields that identify it:
+ * - MULLIGAN { cardInstanceIds }: the cards of the hand to redraw.
+ * - RIDE { source: 'hand' | 'rideDeck', cardInstanceId, discardInstanceId }: the discard is for a ride from the ride deck.
+ * - CALL { cardInstanceId, circleTag }, MOVE { from, to }.
+ * - ACT { cardInstanceId, effectIndex, payment }, PLAY_ORDER { cardInstanceId, effectIndex, payment },
+ *   ACTIVATE_EFFECT { cardInstanceId, effectIndex, payment }: see CostManager for payments.
+ * - ATTACK { attackerCircle, attackerInstanceId, targetCircle, targetInstanceId, boost }.
+ * - GUARD { cardInstanceId }, INTERCEPT { cardInstanceId, fromCircle }.
+ * - CHOOSE { index }: the option of the pending choice.
+ * - PASS_RIDE_PHASE, PASS_MAIN_PHASE, PASS_BATTLE_PHASE, PASS_GUARD_STEP, PASS_EFFECT.
+ * Some actions also carry a `description` for display, which is not part of their identity (see actionKey).
+ *
+ * Copies of a card make the same decision, so getPossibleActions offers a ride or a payment with only one of them,
+ * which keeps the choices of players and bots short. With `allCopies`, it lists the actions with every copy:
+ * that is the list an action from outside the engine is validated against (see ActionValidator).
  */
 
 import { evaluateCondition } from './ConditionEvaluator.js';
+import { getCostPaymentOptions, getEffectiveCost, describePayment, hasCost } from './CostManager.js';
+
+/**
+ * Puts a field of an action in a form that does not depend on the order of its keys. Lists of instance IDs
+ * (the cards of a MULLIGAN, of a payment) are sets of cards, so they are sorted as well.
+ * @param {any} value
+ * @returns {any}
+ */
+export function canonicalize(value) {
+    if (Array.isArray(value)) {
+        const items = value.map(canonicalize);
+        return items.every(item => typeof item === 'string') ? items.sort() : items;
+    }
+    if (value === null || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonicalize(value[key])]));
+}
+
+/**
+ * Returns a deterministic key for an action: two actions have the same key if and only if they are the same
+ * decision, whatever the order of their fields, the order of the cards they list and their display `description`.
+ * @param {object} action - An action.
+ * @returns {string}
+ */
+export function actionKey(action) {
+    const { description, ...identity } = action;
+    return JSON.stringify(canonicalize(identity));
+}
+
 /**
  * Generates all possible "call" actions from the hand to the board.
  * @param {object} gameState - The current state of the game.
@@ -26,15 +72,14 @@ function getCallActions(gameState, activePlayer) {
     ];
 
     // For each card in hand, check if it can be called to any available circle
-    activePlayer.hand.forEach((card, index) => {
+    activePlayer.hand.forEach(card => {
         // Rule: Can only call units with grade <= vanguard's grade
         // A unit must have power. Cards without power (like Orders) cannot be called.
         if (card.power !== null && card.grade <= vanguardGrade) {
             for (const circle of availableCircles) {
                 actions.push({
                     type: 'CALL',
-                    cardIndexInHand: index,
-                    cardName: `[G${card.grade}] ${card.name}`, // For clearer display
+                    cardInstanceId: card.uniqueId,
                     circleTag: circle.name
                 });
             }
@@ -77,39 +122,45 @@ function getMoveActions(gameState, activePlayer) {
  * Generates all possible "ACT" (activatable skill) actions.
  * @param {object} gameState - The current state of the game.
  * @param {object} activePlayer - The player object for the active player.
+ * @param {{allCopies: boolean}} options - See getPossibleActions.
  * @returns {object[]} A list of possible ACT actions.
  */
-function getActActions(gameState, activePlayer) {
+function getActActions(gameState, activePlayer, options) {
     const actions = [];
     // Scan all zones where ACT skills can be used (board, crest zone, etc.)
     const cardsWithPotentialActs = [
-        ...activePlayer.board.frontRow.map(c => c.unit),
-        ...activePlayer.board.backRow.map(c => c.unit),
-        ...activePlayer.crestZone,
-    ].filter(Boolean);
-
-    for (const card of cardsWithPotentialActs) {
-        if (card.effectsData?.implemented_effects) {
-            for (const effect of card.effectsData.implemented_effects) {
-                if (effect.is_act) {
-                    // Check if the effect has already been used this turn if it's 1/Turn
-                    if (effect.once_per_turn && activePlayer.usedTurnlyEffects.includes(effect.function_index)) {
-                        continue;
-                    }
-                    // Check if the condition for the ACT skill is met
-                    if (!evaluateCondition(effect.condition, gameState)) {
-                        continue;
-                    }
+        ...activePlayer.board.frontRow.map(c => ({ card: c.unit, zone: c.name === 'V' ? 'VC' : 'RC' })),
+        ...activePlayer.board.backRow.map(c => ({ card: c.unit, zone: 'RC' })),
+        ...activePlayer.crestZone.map(c => ({ card: c, zone: 'crestZone' })),
+    ].filter(item => item.card);
+
+    for (const { card, zone } of cardsWithPotentialActs) {
+        const implementedEffects = card.effectsData?.implemented_effects ?? [];
+        implementedEffects.forEach((effect, effectIndex) => {
+            if (!effect.is_act) return;
+            if (effect.zone && effect.zone !== zone) return;
+            // Check if the effect has already been used this turn if it's 1/Turn
+            if (effect.once_per_turn && activePlayer.usedTurnlyEffects.includes(`${card.uniqueId}:${effectIndex}`)) {
+                return;
+            }
+            // Check if the condition for the ACT skill is met
+            if (!evaluateCondition(effect.condition, gameState, { playerIndex: gameState.currentPlayerIndex, source: card })) {
+                return;
+            }
 
-                    actions.push({
-                        type: 'ACT',
-                        cardId: card.id,
-                        effect: effect,
-                        description: effect.description || `Activate skill of ${card.name}`
-                    });
-                }
+            // One action per way of paying the cost. No option means the cost can't be paid.
+            for (const payment of getCostPaymentOptions(activePlayer, effect.cost, options)) {
+                const paymentText = describePayment(activePlayer, payment);
+                const description = effect.description || `Activate skill of ${card.name}`;
+                actions.push({
+                    type: 'ACT',
+                    cardInstanceId: card.uniqueId,
+                    effectIndex: effectIndex,
+                    payment: payment,
+                    description: paymentText ? `${description} (${paymentText})` : description
+                });
             }
-        }
+        });
     }
     return actions;
 }
@@ -117,33 +168,55 @@ function getActActions(gameState, activePlayer) {
 /**
  * Generates all possible guard actions for the defending player.
  * @param {object} gameState - The current state of the game.
- * @returns {object[]} A list of possible GUARD/INTERCEPT actions.
+ * @param {{allCopies: boolean}} options - See getPossibleActions.
+ * @returns {object[]} A list of possible GUARD/INTERCEPT/PLAY_ORDER actions.
  */
-function getGuardActions(gameState) {
+function getGuardActions(gameState, options) {
     const actions = [];
-    const defendingPlayer = gameState.players[1 - gameState.currentPlayerIndex];
+    const defenderIndex = 1 - gameState.currentPlayerIndex;
+    const defendingPlayer = gameState.players[defenderIndex];
 
     // Guard from hand
     for (const card of defendingPlayer.hand) {
-        // Can only guard with cards that have a shield value.
-        if (typeof card.shield === 'number') {
+        // Can only guard with units that have a shield value.
+        if (card.power !== null && typeof card.shield === 'number') {
             actions.push({
                 type: 'GUARD',
-                cardInstanceId: card.uniqueId,
-                cardName: `[G${card.grade}] ${card.name}`,
-                shield: card.shield
+                cardInstanceId: card.uniqueId
             });
         }
     }
 
+    // Blitz Orders from hand
+    for (const card of defendingPlayer.hand) {
+        (card.effectsData?.implemented_effects ?? []).forEach((effect, effectIndex) => {
+            if (!effect.is_order || effect.timing !== 'guard') return;
+            if (!evaluateCondition(effect.condition, gameState, { playerIndex: defenderIndex, source: card })) return;
+
+            // The order leaves the hand when played, so it can't be discarded to pay its own cost.
+            const cost = getEffectiveCost(effect, gameState, { playerIndex: defenderIndex, source: card });
+            const playerWithoutOrder = { ...defendingPlayer, hand: defendingPlayer.hand.filter(c => c !== card) };
+            for (const payment of getCostPaymentOptions(playerWithoutOrder, cost, options)) {
+                const paymentText = describePayment(defendingPlayer, payment);
+                actions.push({
+                    type: 'PLAY_ORDER',
+                    cardInstanceId: card.uniqueId,
+                    effectIndex: effectIndex,
+                    payment: payment,
+                    description: `Play ${card.name}${effect.description ? `: ${effect.description}` : ''}${paymentText ? ` (${paymentText})` : ''}`
+                });
+            }
+        });
+    }
+
     // Intercept from board
-    const interceptors = defendingPlayer.board.frontRow.filter(c => c.unit && !c.unit.isResting && c.unit.skills.includes('Intercept'));
+    // The unit being attacked cannot intercept its own attack.
+    const interceptors = defendingPlayer.board.frontRow.filter(c => c.unit && !c.unit.isResting && c.unit.hasSkill('Intercept')
+        && c.name !== gameState.currentBattle?.targetCircle);
     for (const circle of interceptors) {
         actions.push({
             type: 'INTERCEPT',
             cardInstanceId: circle.unit.uniqueId,
-            cardName: `[G${circle.unit.grade}] ${circle.unit.name}`,
-            shield: circle.unit.shield,
             fromCircle: circle.name
         });
     }
@@ -172,7 +245,7 @@ function getBattlePhaseActions(gameState) {
             let boosterCircle = null;
             if (backRowCircleName) {
                 const circle = activePlayer.board.getCircle(backRowCircleName);
-                if (circle && circle.unit && !circle.unit.isResting && circle.unit.skills.includes('Boost')) {
+                if (circle && circle.unit && !circle.unit.isResting && circle.unit.hasSkill('Boost')) {
                     boosterCircle = circle;
                 }
             }
@@ -181,14 +254,10 @@ function getBattlePhaseActions(gameState) {
                 for (const targetCircle of potentialTargets) {
                     actions.push({
                         type: 'ATTACK',
-                        attacker: {
-                            name: attackerCircle.name,
-                            card: attackerCircle.unit
-                        },
-                        target: {
-                            name: targetCircle.name,
-                            card: targetCircle.unit
-                        },
+                        attackerCircle: attackerCircle.name,
+                        attackerInstanceId: attackerCircle.unit.uniqueId,
+                        targetCircle: targetCircle.name,
+                        targetInstanceId: targetCircle.unit.uniqueId,
                         boost: shouldBoost
                     });
                 }
@@ -212,14 +281,15 @@ function getBattlePhaseActions(gameState) {
 /**
  * Generates all possible actions for the Main Phase.
  * @param {object} gameState - The current state of the game.
+ * @param {{allCopies: boolean}} options - See getPossibleActions.
  * @returns {object[]} A list of possible actions.
  */
-function getMainPhaseActions(gameState) {
+function getMainPhaseActions(gameState, options) {
     const activePlayer = gameState.players[gameState.currentPlayerIndex];
     
     const callActions = getCallActions(gameState, activePlayer);
     const moveActions = getMoveActions(gameState, activePlayer);
-    const actActions = getActActions(gameState, activePlayer);
+    const actActions = getActActions(gameState, activePlayer, options);
     // const skillActions = getSkillActions(gameState, activePlayground); // To be implemented
 
     const actions = [
@@ -250,16 +320,16 @@ function getMulliganActions(gameState, activePlayer) {
     // Generate all combinations of keeping/redrawing cards
     // Each bit in 'i' represents a card: 0 = keep, 1 = redraw
     for (let i = 0; i < Math.pow(2, handSize); i++) {
-        const cardIndicesToRedraw = [];
+        const cardInstanceIds = [];
         for (let j = 0; j < handSize; j++) {
             // If the j-th bit is set, redraw the j-th card
             if ((i >> j) & 1) {
-                cardIndicesToRedraw.push(j);
+                cardInstanceIds.push(activePlayer.hand[j].uniqueId);
             }
         }
         actions.push({
             type: 'MULLIGAN',
-            cardIndicesToRedraw: cardIndicesToRedraw
+            cardInstanceIds: cardInstanceIds
         });
     }
 
@@ -270,43 +340,42 @@ function getMulliganActions(gameState, activePlayer) {
  * Generates all possible "ride" actions for the current player.
  * @param {object} gameState - The current state of the game (Party).
  * @param {object} activePlayer - The player object for the active player.
+ * @param {{allCopies: boolean}} options - See getPossibleActions.
  * @returns {object[]} A list of possible RIDE actions.
  */
-function getRideActions(gameState, activePlayer) {
+function getRideActions(gameState, activePlayer, { allCopies }) {
     const actions = [];
     const currentVanguard = activePlayer.board.getCircle('V').unit;
     const currentVanguardGrade = currentVanguard ? currentVanguard.grade : -1; // -1 if no vanguard yet (e.g., first turn)
 
-    const seenActions = new Set();
+    const seenCardIds = new Set();
 
-    // Ride from hand
-    activePlayer.hand.forEach((card, index) => {
+    // Ride from hand. Copies of the same card make the same decision, so only the first copy is offered unless allCopies.
+    activePlayer.hand.forEach(card => {
         // Can ride a unit with grade +1 or equal to current vanguard
         if (card.grade === currentVanguardGrade + 1 || card.grade === currentVanguardGrade) {
-            const action = {
+            if (seenCardIds.has(card.id) && !allCopies) return;
+            seenCardIds.add(card.id);
+            actions.push({
                 type: 'RIDE',
-                cardName: `[G${card.grade}] ${card.name}`, // For display
-                cardId: card.id, // Use non-unique ID for stable matching
-                source: 'hand'
-            };
-            const key = JSON.stringify({ type: action.type, cardId: action.cardId, source: action.source });
-            if (!seenActions.has(key)) {
-                actions.push(action);
-                seenActions.add(key);
-            }
+                source: 'hand',
+                cardInstanceId: card.uniqueId
+            });
         }
     });
 
-    // Ride from ride deck
+    // Ride from ride deck, discarding a card from hand: one action per card name.
     const rideDeckCardToRide = activePlayer.rideDeck.find(c => c.grade === currentVanguardGrade + 1);
     if (rideDeckCardToRide) {
-        [...new Map(activePlayer.hand.map(card => [card.name, card])).values()].forEach(cardToDiscard => {
+        const discards = allCopies
+            ? activePlayer.hand
+            : activePlayer.hand.filter((card, index) => activePlayer.hand.findIndex(c => c.name === card.name) === index);
+        discards.forEach(cardToDiscard => {
             actions.push({
                 type: 'RIDE',
-                cardName: `[G${rideDeckCardToRide.grade}] ${rideDeckCardToRide.name}`, // For display
-                cardId: rideDeckCardToRide.id, // Use non-unique ID for the card to ride
                 source: 'rideDeck',
-                discardCardId: cardToDiscard.id // Use non-unique ID for stable matching
+                cardInstanceId: rideDeckCardToRide.uniqueId,
+                discardInstanceId: cardToDiscard.uniqueId
             });
         });
     }
@@ -318,69 +387,105 @@ function getRideActions(gameState, activePlayer) {
 }
 
 /**
- * Generates actions for resolving optional card effects.
+ * An effect is optional if it is not mandatory, or if it has a cost: paying a [COST] is always a choice.
+ * @param {object} effect - The effect definition from `implemented_effects`.
+ * @returns {boolean}
+ */
+export function isOptionalEffect(effect) {
+    return !effect.mandatory || hasCost(effect.cost);
+}
+
+/**
+ * Generates actions for resolving triggered card effects.
  * @param {object} gameState - The current state of the game.
+ * @param {{allCopies: boolean}} options - See getPossibleActions.
  * @returns {object[]} A list of possible effect-related actions.
  */
-function getEffectActions(gameState) {
+function getEffectActions(gameState, options) {
     const actions = [];
     if (gameState.eventQueue.length === 0) return actions;
 
-    const currentEvent = gameState.eventQueue[0];
-    if (!currentEvent.pendingEffects) {
-        // This case should ideally not be hit if logic is correct, but as a fallback:
-        currentEvent.pendingEffects = collectEffectsForEvent(currentEvent, gameState);
-    }
+    // Only the effects of the player resolving now are offered: the turn player's first, then the non-turn player's.
+    // That player picks the order, so mandatory effects are offered as well.
+    const resolvableEffects = gameState.getResolvablePendingEffects();
+    if (resolvableEffects.length === 0) return actions;
+    const decidingPlayer = gameState.players[gameState.getDecidingPlayerIndex()];
 
-    const optionalEffects = currentEvent.pendingEffects.filter(p => !p.effect.mandatory);
+    for (const effectToActivate of resolvableEffects) {
+        // Effects whose cost can't be paid are not offered. Otherwise, one action per way of paying it.
+        for (const payment of getCostPaymentOptions(decidingPlayer, effectToActivate.effect.cost, options)) {
+            const paymentText = describePayment(decidingPlayer, payment);
+            actions.push({
+                type: 'ACTIVATE_EFFECT',
+                // The pending effect is found again from its source and its index among the source's effects.
+                cardInstanceId: effectToActivate.sourceInstanceId,
+                effectIndex: effectToActivate.effectIndex,
+                payment: payment,
+                description: `Activate effect of ${effectToActivate.cardName}`
+                    + `${effectToActivate.effect.description ? `: ${effectToActivate.effect.description}` : ''}`
+                    + `${paymentText ? ` (${paymentText})` : ''}`
+            });
+        }
+    }
 
-    for (const effectToActivate of optionalEffects) {
+    // It's always possible to not activate optional effects, once no mandatory effect is left.
+    if (resolvableEffects.every(p => isOptionalEffect(p.effect))) {
         actions.push({
-            type: 'ACTIVATE_EFFECT',
-            // We only need to store the information required to find the effect again,
-            // not the entire payload which can cause circular references.
-            effectToActivate: {
-                cardId: effectToActivate.cardId,
-                effect: effectToActivate.effect
-            },
-            description: `Activate effect of ${effectToActivate.cardName}`
+            type: 'PASS_EFFECT',
+            description: 'Do not activate an effect'
         });
     }
 
-    // It's always possible to not activate an optional effect.
-    actions.push({
-        type: 'PASS_EFFECT',
-        description: 'Do not activate an effect'
-    });
-
     return actions;
 }
 
+/**
+ * Generates one CHOOSE action per option of the choice an effect is waiting for.
+ * @param {object} gameState - The current state of the game.
+ * @returns {object[]} A list of CHOOSE actions.
+ */
+function getChoiceActions(gameState) {
+    return gameState.pendingChoice.options.map((option, index) => ({
+        type: 'CHOOSE',
+        index,
+        description: option
+    }));
+}
+
 /**
  * Main dispatcher function to get all possible actions for the current game state.
  * It checks the current phase and calls the appropriate handler.
  * @param {object} gameState - The current state of the game, likely an instance of Party.
+ * @param {object} [options]
+ * @param {boolean} [options.allCopies=false] - Lists the actions with every copy of a card, instead of one action
+ * per card for rides and one payment per set of card names.
  * @returns {object[]} A list of all possible actions.
  */
-export function getPossibleActions(gameState) {
+export function getPossibleActions(gameState, { allCopies = false } = {}) {
+    const options = { allCopies };
     const currentPhase = gameState.phase;
     const activePlayer = gameState.players[gameState.currentPlayerIndex];
 
+    // An effect waiting for a choice has to be answered before anything else.
+    if (gameState.pendingChoice) return getChoiceActions(gameState);
+
     switch (currentPhase) {
         case 'mulligan':
             return getMulliganActions(gameState, activePlayer);
         case 'ride':
-            return getRideActions(gameState, activePlayer);
+            return getRideActions(gameState, activePlayer, options);
         case 'main':
-            return getMainPhaseActions(gameState);
+            return getMainPhaseActions(gameState, options);
         case 'act': // ACT is part of main phase, handled by getMainPhaseActions
             return [];
         case 'battle':
+            // During a battle, only the guard step waits for a decision; the other steps run automatically.
+            if (gameState.currentBattle) {
+                return gameState.currentBattle.step === 'guard' ? getGuardActions(gameState, options) : [];
+            }
             return getBattlePhaseActions(gameState);
-        case 'guard':
-            return getGuardActions(gameState);
         case 'effect_resolution':
-            return getEffectActions(gameState);
+            return getEffectActions(gameState, options);
         // Add cases for 'battle', etc.
         default:
             return [{ type: 'PASS' }]; // Default action if phase is unknown
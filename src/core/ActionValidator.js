@@ -0,0 +1,116 @@
+/**
+ * @file ActionValidator.js
+ * Checks that an action is legal before it is applied. The legal actions of a state are the ones generated by
+ * getPossibleActions with every copy of the cards (`allCopies`), so an action is legal if it matches one of them:
+ * riding or paying with any copy of a card is legal. Actions coming from outside the engine (a network player,
+ * a script, a fuzzer) do not have to be the same objects: they match by actionKey.
+ *
+ * When an action is illegal, the validator tells why with an error code:
+ * - GAME_OVER: the game is over.
+ * - MALFORMED_ACTION: the action is not an object with a type.
+ * - CHOICE_PENDING: an effect waits for a CHOOSE action.
+ * - WRONG_TIMING: no action of this type can be taken now (e.g. GUARD outside of the guard step).
+ * - INVALID_SOURCE, INVALID_CARD, INVALID_DISCARD, INVALID_CIRCLE, INVALID_ATTACKER, INVALID_TARGET, INVALID_BOOST,
+ *   INVALID_EFFECT, INVALID_PAYMENT, INVALID_OPTION: the first identifying field that no legal action has
+ *   (e.g. calling a card whose grade is above the vanguard's is INVALID_CARD, calling to (V) is INVALID_CIRCLE).
+ */
+
+import { getPossibleActions, actionKey, canonicalize } from './ActionManager.js';
+
+/**
+ * The fields of an action of each type, in the order they are checked, with the error code reported when
+ * no legal action has the value of the field (see ActionManager for the fields of each type).
+ */
+const CHECKED_FIELDS = {
+    MULLIGAN: [['cardInstanceIds', 'INVALID_CARD']],
+    RIDE: [['source', 'INVALID_SOURCE'], ['cardInstanceId', 'INVALID_CARD'], ['discardInstanceId', 'INVALID_DISCARD']],
+    CALL: [['cardInstanceId', 'INVALID_CARD'], ['circleTag', 'INVALID_CIRCLE']],
+    MOVE: [['from', 'INVALID_CIRCLE'], ['to', 'INVALID_CIRCLE']],
+    ACT: [['cardInstanceId', 'INVALID_CARD'], ['effectIndex', 'INVALID_EFFECT'], ['payment', 'INVALID_PAYMENT']],
+    ATTACK: [
+        ['attackerCircle', 'INVALID_ATTACKER'],
+        ['attackerInstanceId', 'INVALID_ATTACKER'],
+        ['targetCircle', 'INVALID_TARGET'],
+        ['targetInstanceId', 'INVALID_TARGET'],
+        ['boost', 'INVALID_BOOST'],
+    ],
+    GUARD: [['cardInstanceId', 'INVALID_CARD']],
+    PLAY_ORDER: [['cardInstanceId', 'INVALID_CARD'], ['effectIndex', 'INVALID_EFFECT'], ['payment', 'INVALID_PAYMENT']],
+    INTERCEPT: [['cardInstanceId', 'INVALID_CARD'], ['fromCircle', 'INVALID_CIRCLE']],
+    ACTIVATE_EFFECT: [['cardInstanceId', 'INVALID_CARD'], ['effectIndex', 'INVALID_EFFECT'], ['payment', 'INVALID_PAYMENT']],
+    CHOOSE: [['index', 'INVALID_OPTION']],
+};
+
+/**
+ * Thrown by applyAction when it is given an action that is not legal in the game state.
+ */
+export class IllegalActionError extends Error {
+    /**
+     * @param {{code: string, message: string}} error - The result of validateAction.
+     * @param {object} action - The illegal action.
+     */
+    constructor({ code, message }, action) {
+        super(message);
+        this.name = 'IllegalActionError';
+        this.code = code;
+        this.action = action;
+    }
+}
+
+/**
+ * @param {object} action
+ * @param {string} field
+ * @returns {string | undefined} The value of the field, as JSON so that lists and payments can be compared
+ * (see canonicalize).
+ */
+function getField(action, field) {
+    return JSON.stringify(canonicalize(action[field]));
+}
+
+/**
+ * @param {object[]} legalActions - The legal actions of a state.
+ * @param {object} action - Any action.
+ * @returns {number} The index of the legal action that `action` stands for, or -1.
+ */
+export function findLegalActionIndex(legalActions, action) {
+    const identity = legalActions.indexOf(action);
+    if (identity !== -1 || typeof action?.type !== 'string') return identity;
+
+    const key = actionKey(action);
+    return legalActions.findIndex(legal => actionKey(legal) === key);
+}
+
+/**
+ * Checks whether an action can be taken in a game state.
+ * @param {Party} gameState - The current game state.
+ * @param {object} action - The action to check.
+ * @returns {{code: string, message: string} | null} Why the action is illegal, or null if it is legal.
+ */
+export function validateAction(gameState, action) {
+    if (gameState.isGameOver()) return { code: 'GAME_OVER', message: 'The game is over.' };
+    if (typeof action?.type !== 'string') return { code: 'MALFORMED_ACTION', message: 'An action must be an object with a type.' };
+
+    const legalActions = getPossibleActions(gameState, { allCopies: true });
+    if (findLegalActionIndex(legalActions, action) !== -1) return null;
+
+    if (gameState.pendingChoice && action.type !== 'CHOOSE') {
+        return { code: 'CHOICE_PENDING', message: `${action.type}: an effect waits for a choice: ${gameState.pendingChoice.prompt}` };
+    }
+
+    let candidates = legalActions.filter(legal => legal.type === action.type);
+    if (candidates.length === 0) {
+        const expected = [...new Set(legalActions.map(legal => legal.type))].join(', ');
+        return { code: 'WRONG_TIMING', message: `${action.type} is not possible in the ${gameState.phase} phase. Expected one of: ${expected}.` };
+    }
+
+    for (const [field, code] of CHECKED_FIELDS[action.type] ?? []) {
+        const value = getField(action, field);
+        const matching = candidates.filter(legal => getField(legal, field) === value);
+        if (matching.length === 0) {
+            return { code, message: `${action.type}: ${field} ${value ?? 'undefined'} is not legal now.` };
+        }
+        candidates = matching;
+    }
+    // Every checked field matches a legal action, so the action has fields that no action of its type has.
+    return { code: 'MALFORMED_ACTION', message: `${action.type} does not match any legal action.` };
+}
@@ -52,7 +52,7 @@ export default class Board {
             // The resting status is not yet implemented on Card, so we'll default to false
             const resting = (unit.isResting ? '*' : ' ').padEnd(1);
             const grade = `G${unit.grade ?? '?'}`;
-            const power = (unit.power ?? 0) + unit.bonusPower;
+            const power = unit.currentPower;
             const cardStr = `${resting}${grade} / ${power}`;
             return cardStr.padEnd(cardWidth);
         };
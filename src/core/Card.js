@@ -13,7 +13,10 @@ export default class Card {
         trigger = null, // e.g., 'Heal', 'Critical'
         nation,
         clan,
-        race
+        race,
+        type = null, // e.g., 'Normal Unit', 'Trigger Unit', 'Blitz Order', 'Crest'. Null for a card missing from the database
+        regulation = null, // e.g., 'Standard', 'Premium'
+        deckLimit = null // The copies of the card a deck may contain, when the card sets its own limit
     } = {}, drive = 1) {
         this.uniqueId = uniqueId; // Unique ID for each card instance
         this.id = id; // Unique ID for each card instance
@@ -29,11 +32,82 @@ export default class Card {
         this.nation = nation;
         this.clan = clan;
         this.race = race;
+        this.type = type;
+        this.regulation = regulation;
+        this.deckLimit = deckLimit;
 
         this.drive = power === null ? 0 : drive; // Non-units have 0 drive
         this.isResting = false;
         this.bonusPower = 0;
         this.bonusCritical = 0;
+        this.battlePower = 0; // "Until end of that battle" bonuses, reset at the end of each battle
+        this.battleCritical = 0;
         this.isPublic = false; // Is this card known to the opponent?
+        this.isFaceUp = true; // Face state in the damage zone, turned face down by Counter-Blast
+        this.cannotBeHit = false; // Set by perfect guards, until end of that battle
+
+        // Values derived from active [CONT] effects, recomputed by ContinuousEffects.js
+        this.contPower = 0;
+        this.contShield = 0;
+        this.contCritical = 0;
+        this.grantedSkills = [];
+    }
+
+    /**
+     * Creates a card from its entry in the card database.
+     * @param {string} cardId - The card number (`card_number_full`).
+     * @param {object | undefined} cardData - The card, as returned by CardDatabase.get. Without it, a basic card is created.
+     * @param {string} [name] - The name to use for a basic card.
+     * @returns {Card}
+     */
+    static fromData(cardId, cardData, name = cardId) {
+        if (!cardData) return new Card({ name, id: cardId });
+
+        return new Card({
+            id: cardId,
+            name: cardData.name,
+            grade: cardData.grade,
+            power: cardData.power,
+            critical: cardData.critical ?? 1,
+            shield: cardData.shield ?? 0,
+            skills: [...cardData.skills],
+            // The effects never change, so they are frozen and shared by the copies of the game state (see cloneDeep).
+            effects: Object.freeze(cardData.effect ? [cardData.effect] : []), // Storing raw effect string for now
+            effectsData: Object.freeze({ implemented_effects: cardData.implementedEffects }),
+            trigger: cardData.trigger,
+            nation: cardData.nation,
+            race: cardData.race,
+            type: cardData.type,
+            regulation: cardData.regulation,
+            deckLimit: cardData.deckLimit,
+        }, cardData.drive);
+    }
+
+    /** Power including "until end of turn" and "until end of that battle" bonuses and [CONT] effects. */
+    get currentPower() {
+        return (this.power ?? 0) + this.bonusPower + this.battlePower + this.contPower;
+    }
+
+    /** Critical including "until end of turn" and "until end of that battle" bonuses and [CONT] effects. */
+    get currentCritical() {
+        return this.critical + this.bonusCritical + this.battleCritical + this.contCritical;
+    }
+
+    /** Shield including [CONT] effects. */
+    get currentShield() {
+        return (this.shield ?? 0) + this.contShield;
+    }
+
+    /** True if the card has "[CONT]:Sentinel" (at most four such cards per deck). */
+    get isSentinel() {
+        return this.effects.some(text => text.includes('[CONT]:Sentinel'));
+    }
+
+    /**
+     * @param {string} skill - e.g. 'Boost', 'Intercept'.
+     * @returns {boolean} True if the card has the skill, printed or granted by a [CONT] effect.
+     */
+    hasSkill(skill) {
+        return this.skills.includes(skill) || this.grantedSkills.includes(skill);
     }
 }
@@ -0,0 +1,334 @@
+/**
+ * @file CardDatabase.js
+ * Loads the card database: one or more set files (JSON arrays of cards, like vg_deck_cards.json),
+ * plus an optional override directory whose JSON files add cards or change the fields of existing ones
+ * (e.g. to try new `implemented_effects` without editing a set file).
+ *
+ * Every entry is checked against the schema of the set files, and its printed values ("Grade 2", "Power 10000",
+ * "Twin Drive, Persona Ride", "Heal Trigger +10000"...) are turned into typed fields once:
+ * { id, name, type, nation, race, regulation, grade, power, shield, critical, skills, drive, trigger, effect, deckLimit, implementedEffects }.
+ * `deckLimit` is the number of copies of the card a deck may contain when the card sets its own limit, e.g. 1 for
+ * '[CONT]:You may only have one "Elementaria Sanctitude" in a deck', or with a `deck_limit` field. Null otherwise.
+ * The `implemented_effects` are checked as well, so that a card with a malformed effect (an unknown step or step
+ * parameter, trigger, zone, cost or modifier, or a condition with an unknown operator or field) is rejected at load time
+ * instead of failing in the middle of a game.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { steps as stepLibrary, checkStepParams } from './EffectLibrary.js';
+import { checkCondition } from './ConditionEvaluator.js';
+
+// A card number, e.g. "DZ-BT01/109EN" or "D-TD03/007EN".
+const CARD_NUMBER = /^[A-Za-z0-9]+-[A-Za-z0-9]+\/[A-Za-z0-9]+$/;
+
+// The zones an effect can be active in, see collectEffectsForEvent and ContinuousEffects.
+const EFFECT_ZONES = ['VC', 'RC', 'GC', 'hand', 'rideDeck', 'crestZone', 'orderZone', 'soul', 'dropZone'];
+
+// The keys of an effect, and of its cost and modifiers (see CostManager and ContinuousEffects).
+const EFFECT_KEYS = ['trigger', 'continuous', 'is_act', 'is_order', 'zone', 'mandatory', 'once_per_turn', 'timing',
+    'condition', 'cost', 'freeIf', 'steps', 'target', 'modifiers', 'description'];
+const COST_KEYS = ['energy', 'counterBlast', 'soulBlast', 'counterCharge', 'soulCharge', 'discard'];
+const MODIFIER_KEYS = ['power', 'shield', 'critical', 'grantSkills', 'maxEnergy'];
+
+const DRIVE_SKILLS = { 'Twin Drive': 2, 'Triple Drive': 3 };
+
+// The limit a card sets on its own copies, e.g. 'You may only have one "Elementaria Sanctitude" in a deck'.
+const DECK_LIMIT_TEXT = /You may only have (one|two|three|\d+) "([^"]+)" in a deck/;
+const NUMBER_WORDS = { one: 1, two: 2, three: 3 };
+
+/**
+ * Thrown when the card database cannot be loaded.
+ */
+export class CardDatabaseError extends Error {
+    /**
+     * @param {string[]} errors - Every problem found, as "<file>: <card number>: <message>".
+     */
+    constructor(errors) {
+        super(`The card database is not valid:\n- ${errors.join('\n- ')}`);
+        this.name = 'CardDatabaseError';
+        this.errors = errors;
+    }
+}
+
+/**
+ * Parses a printed value like "Power 10000" or "Shield 5000".
+ * @param {string | null | undefined} valueString
+ * @param {string} label - The expected label, e.g. 'Power'.
+ * @returns {number | null | undefined} The value, null if there is none (e.g. "Shield", "Power -"), undefined if malformed.
+ */
+function parseValue(valueString, label) {
+    if (valueString === null || valueString === undefined) return null;
+    const match = typeof valueString === 'string' && valueString.match(new RegExp(`^${label}(?: (-?\\d+|-))?$`));
+    if (!match) return undefined;
+    return match[1] === undefined || match[1] === '-' ? null : parseInt(match[1], 10);
+}
+
+/**
+ * Checks the steps of an effect and their parameters, including the branches of "if" steps.
+ * @param {any} steps
+ * @param {function(string)} report
+ */
+function checkSteps(steps, report) {
+    if (!Array.isArray(steps)) {
+        report('steps must be a list.');
+        return;
+    }
+    for (const step of steps) {
+        if (step?.do === 'if') {
+            if (step.condition === undefined) report('an "if" step must have a condition.');
+            else checkCondition(step.condition, message => report(`condition: ${message}`));
+            checkSteps(step.then ?? [], report);
+            checkSteps(step.else ?? [], report);
+        } else if (!Object.hasOwn(stepLibrary, step?.do)) {
+            report(`unknown step "${step?.do}". Expected "if" or one of: ${Object.keys(stepLibrary).join(', ')}.`);
+        } else {
+            checkStepParams(step, report);
+        }
+    }
+}
+
+/**
+ * Checks one of the `implemented_effects` of a card.
+ * @param {any} effect
+ * @param {function(string)} report
+ */
+function checkEffect(effect, report) {
+    if (effect === null || typeof effect !== 'object' || Array.isArray(effect)) {
+        report('an effect must be an object.');
+        return;
+    }
+    for (const key of Object.keys(effect)) {
+        if (!EFFECT_KEYS.includes(key)) report(`unknown key "${key}".`);
+    }
+
+    const kinds = ['trigger', 'continuous', 'is_act', 'is_order'].filter(kind => effect[kind]);
+    if (kinds.length !== 1) report(`an effect must be exactly one of trigger, continuous, is_act or is_order, not ${kinds.join(', ') || 'none'}.`);
+    if (effect.trigger !== undefined && !/^on_[a-z_]+$/.test(effect.trigger)) {
+        report(`trigger "${effect.trigger}" is not an event name like "on_ride".`);
+    }
+    if (effect.zone !== undefined && !EFFECT_ZONES.includes(effect.zone)) {
+        report(`unknown zone "${effect.zone}". Expected one of: ${EFFECT_ZONES.join(', ')}.`);
+    }
+    for (const key of ['condition', 'freeIf']) {
+        if (effect[key] !== undefined) checkCondition(effect[key], message => report(`${key}: ${message}`));
+    }
+    for (const [key, amount] of Object.entries(effect.cost ?? {})) {
+        if (!COST_KEYS.includes(key)) report(`unknown cost "${key}". Expected one of: ${COST_KEYS.join(', ')}.`);
+        else if (!Number.isInteger(amount) || amount < 0) report(`cost ${key} must be a non-negative integer.`);
+    }
+    for (const key of Object.keys(effect.modifiers ?? {})) {
+        if (!MODIFIER_KEYS.includes(key)) report(`unknown modifier "${key}". Expected one of: ${MODIFIER_KEYS.join(', ')}.`);
+    }
+    if (effect.continuous && !effect.modifiers) report('a continuous effect must have modifiers.');
+    if (!effect.continuous && effect.steps === undefined) report('an effect must have steps.');
+    if (effect.steps !== undefined) checkSteps(effect.steps, report);
+}
+
+/**
+ * Checks an entry of a set file and turns it into a card of the database.
+ * @param {object} entry
+ * @param {function(string)} report - Receives the problems of the entry.
+ * @returns {object} The card, with typed fields.
+ */
+function normalizeEntry(entry, report) {
+    const optionalString = key => {
+        if (entry[key] !== null && entry[key] !== undefined && typeof entry[key] !== 'string') report(`${key} must be a string.`);
+        return typeof entry[key] === 'string' ? entry[key] : null;
+    };
+    if (typeof entry.name_face !== 'string' || entry.name_face === '') report('name_face must be a non-empty string.');
+    if (typeof entry.type !== 'string') report('type must be a string.');
+
+    const values = {};
+    for (const [field, label] of [['grade', 'Grade'], ['power', 'Power'], ['shield', 'Shield'], ['critical', 'Critical']]) {
+        values[field] = parseValue(entry[field], label);
+        if (values[field] === undefined) report(`${field} "${entry[field]}" is not like "${label} <number>".`);
+    }
+
+    const skills = (optionalString('skill') ?? '').split(', ').filter(skill => skill !== '' && skill !== '-');
+    const gift = optionalString('gift');
+    const trigger = gift?.match(/^(\w+) Trigger\b/)?.[1] ?? null; // e.g., "Heal" from "Heal Trigger +10000"
+    if (gift && !trigger) report(`gift "${gift}" is not like "<type> Trigger +<power>".`);
+
+    const implementedEffects = entry.implemented_effects ?? [];
+    if (!Array.isArray(implementedEffects)) {
+        report('implemented_effects must be a list.');
+    } else {
+        implementedEffects.forEach((effect, index) => checkEffect(effect, message => report(`implemented_effects[${index}]: ${message}`)));
+    }
+
+    let deckLimit = null;
+    if (entry.deck_limit !== undefined && entry.deck_limit !== null) {
+        if (Number.isInteger(entry.deck_limit) && entry.deck_limit > 0) deckLimit = entry.deck_limit;
+        else report('deck_limit must be a positive integer.');
+    } else {
+        const match = optionalString('effect')?.match(DECK_LIMIT_TEXT);
+        if (match && match[2] === entry.name_face) deckLimit = NUMBER_WORDS[match[1]] ?? parseInt(match[1], 10);
+    }
+
+    const drive = entry.type === 'Crest' ? 0 : skills.reduce((drive, skill) => DRIVE_SKILLS[skill] ?? drive, 1);
+    return {
+        id: entry.card_number_full,
+        name: entry.name_face,
+        type: entry.type,
+        nation: optionalString('nation'),
+        race: optionalString('race'),
+        regulation: optionalString('regulation'),
+        grade: values.grade ?? null,
+        power: values.power ?? null,
+        shield: values.shield ?? null,
+        critical: values.critical ?? null,
+        skills,
+        drive,
+        trigger,
+        effect: optionalString('effect'),
+        deckLimit,
+        implementedEffects: Array.isArray(implementedEffects) ? implementedEffects : [],
+    };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {object[]} The entries of a set or override file: a JSON list of cards, or a single card.
+ */
+function readEntries(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * Tells how much of the effect text of a card the engine supports, by comparing its abilities
+ * ([AUTO], [ACT] and [CONT], without reminder texts and Sentinel, which the engine knows) to its `implemented_effects`.
+ * @param {object} card - A card of the database.
+ * @returns {'implemented' | 'partial' | 'missing' | 'vanilla'} 'vanilla' for a card without abilities,
+ * 'missing' for abilities without any implemented effect, 'partial' for fewer implemented effects than abilities.
+ */
+export function getEngineSupport(card) {
+    const text = (card.effect ?? '').replace(/\([^)]*\)/g, '').replace(/\[CONT\]:Sentinel/g, '');
+    const abilityCount = (text.match(/\[(?:AUTO|ACT|CONT)\]/g) ?? []).length;
+    const implementedCount = card.implementedEffects.length;
+    if (abilityCount === 0 && implementedCount === 0) return 'vanilla';
+    if (implementedCount === 0) return 'missing';
+    return implementedCount < abilityCount ? 'partial' : 'implemented';
+}
+
+/**
+ * @param {object[]} cards
+ * @param {function(object): any} key
+ * @returns {Map<any, object[]>} The cards for each value of the key, in database order.
+ */
+function groupBy(cards, key) {
+    const groups = new Map();
+    for (const card of cards) {
+        const value = key(card);
+        if (!groups.has(value)) groups.set(value, []);
+        groups.get(value).push(card);
+    }
+    groups.forEach(Object.freeze);
+    return groups;
+}
+
+/**
+ * Freezes a value and everything it holds.
+ * @param {any} value
+ * @returns {any} The value.
+ */
+function deepFreeze(value) {
+    if (value !== null && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+class CardDatabase {
+    /**
+     * @param {object[]} cards - The cards, with typed fields (see normalizeEntry). They are frozen: every card
+     * instance and every copy of the game state shares their data (see cloneDeep).
+     */
+    constructor(cards) {
+        this.cards = cards.map(deepFreeze);
+        this._byId = new Map(cards.map(card => [card.id, card]));
+        this._byName = groupBy(this.cards, card => card.name.toLowerCase());
+        this._byNation = groupBy(this.cards, card => card.nation);
+    }
+
+    /**
+     * Builds a database from set file contents.
+     * @param {{source: string, entries: object[]}[]} sets - The entries of each set file, then of each override file,
+     * with the name of the file for the error messages. An override entry only needs the fields it changes.
+     * @param {number} [setCount=sets.length] - How many of `sets` are set files; the rest are overrides.
+     * @returns {CardDatabase}
+     * @throws {CardDatabaseError} If an entry is not valid, or a card number is in two set files.
+     */
+    static fromSets(sets, setCount = sets.length) {
+        const errors = [];
+        const entries = new Map(); // card number -> { source, entry }
+
+        sets.forEach(({ source, entries: setEntries }, setIndex) => {
+            const isOverride = setIndex >= setCount;
+            for (const entry of setEntries) {
+                const cardNumber = entry?.card_number_full;
+                if (typeof cardNumber !== 'string' || !CARD_NUMBER.test(cardNumber)) {
+                    errors.push(`${source}: card_number_full "${cardNumber}" is not a card number like "DZ-BT01/109EN".`);
+                    continue;
+                }
+                const existing = entries.get(cardNumber);
+                if (existing && !isOverride) {
+                    errors.push(`${source}: ${cardNumber}: already in ${existing.source}.`);
+                    continue;
+                }
+                entries.set(cardNumber, { source, entry: isOverride && existing ? { ...existing.entry, ...entry } : entry });
+            }
+        });
+
+        const cards = [];
+        for (const [cardNumber, { source, entry }] of entries) {
+            cards.push(normalizeEntry(entry, message => errors.push(`${source}: ${cardNumber}: ${message}`)));
+        }
+        if (errors.length > 0) throw new CardDatabaseError(errors);
+        return new CardDatabase(cards);
+    }
+
+    /**
+     * Loads set files and an override directory.
+     * @param {string[]} setPaths - The set files.
+     * @param {object} [options]
+     * @param {string} [options.overrideDir] - A directory of JSON files applied on top of the sets, in file name order.
+     * @returns {CardDatabase}
+     * @throws {CardDatabaseError} If an entry is not valid.
+     */
+    static load(setPaths, { overrideDir } = {}) {
+        const overridePaths = overrideDir
+            ? fs.readdirSync(overrideDir).filter(file => file.endsWith('.json')).sort().map(file => path.join(overrideDir, file))
+            : [];
+        const sets = [...setPaths, ...overridePaths].map(filePath => ({ source: filePath, entries: readEntries(filePath) }));
+        return CardDatabase.fromSets(sets, setPaths.length);
+    }
+
+    /**
+     * @param {string} cardNumber - e.g. "DZ-BT01/109EN".
+     * @returns {object | undefined} The card with this number.
+     */
+    get(cardNumber) {
+        return this._byId.get(cardNumber);
+    }
+
+    /**
+     * @param {string} name - A card name, in any case.
+     * @returns {object[]} The cards with this name: a card and its reprints.
+     */
+    findByName(name) {
+        return this._byName.get(name.toLowerCase()) ?? [];
+    }
+
+    /**
+     * @param {string | null} nation - e.g. "Keter Sanctuary", or null for the nationless cards.
+     * @returns {object[]} The cards of the nation.
+     */
+    findByNation(nation) {
+        return this._byNation.get(nation) ?? [];
+    }
+}
+
+export default CardDatabase;
@@ -1,69 +1,244 @@
+/**
+ * @file ConditionEvaluator.js
+ * Evaluates the `condition` arrays found in `implemented_effects`.
+ *
+ * A condition is one of:
+ * - a comparison: [field, operator, value], e.g. ["vanguard.grade", ">=", 3]
+ *   Operators: ===, !==, >, <, >=, <=, includes (substring or array membership).
+ *   `value` may be { "ref": "<path>" } to compare against another field, e.g. ["event.ridden", "===", { "ref": "self" }].
+ * - a negation: ["not", condition]
+ * - a boolean expression: [condition, "and", condition, "or", condition, ...]
+ *   "and" binds tighter than "or". Each operand may itself be any condition, so expressions nest freely.
+ *
+ * Fields are paths resolved against the evaluation context:
+ * - player.* / opponent.*: index, energy, maxEnergy, handSize, soulCount, damageCount, faceUpDamageCount,
+ *   dropCount, deckCount, unitCount, unitNameCount (distinct unit names), rearGuardCount, wentFirst, wentSecond,
+ *   isTurnPlayer, vanguard (a card).
+ *   "player" is the owner of the effect, "opponent" the other player.
+ * - vanguard.*: shortcut for player.vanguard.* (e.g. vanguard.name, vanguard.grade).
+ * - unitCount: shortcut for player.unitCount.
+ * - event.*: fields of the triggering event payload (e.g. event.rider.grade, event.from, event.card.name).
+ * - self.*: the card the effect belongs to.
+ * - battle.*: the current battle (step, attackerCircle, targetCircle, attacker, booster, target), undefined outside of a battle.
+ * - turn, phase: the current turn number and phase.
+ */
+
+const COMPARISON_OPERATORS = {
+    '===': (a, b) => a === b,
+    '!==': (a, b) => a !== b,
+    '>': (a, b) => a > b,
+    '<': (a, b) => a < b,
+    '>=': (a, b) => a >= b,
+    '<=': (a, b) => a <= b,
+    'includes': (a, b) => (typeof a === 'string' || Array.isArray(a)) && a.includes(b),
+};
+
+// The first part of the fields a condition can refer to, see getContextValue.
+const CONTEXT_ROOTS = ['player', 'opponent', 'vanguard', 'unitCount', 'event', 'self', 'battle', 'turn', 'phase'];
+
+/**
+ * Builds the properties of a player that conditions can refer to.
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The index of the player to describe.
+ * @returns {object}
+ */
+function describePlayer(party, playerIndex) {
+    const player = party.players[playerIndex];
+    const units = [...player.board.frontRow, ...player.board.backRow].filter(c => c.unit);
+
+    return {
+        index: playerIndex,
+        energy: player.energy,
+        maxEnergy: player.maxEnergy,
+        handSize: player.hand.length,
+        soulCount: player.soul.length,
+        damageCount: player.damageZone.length,
+        faceUpDamageCount: player.damageZone.filter(c => c.isFaceUp).length,
+        dropCount: player.dropZone.length,
+        deckCount: player.deck.length,
+        unitCount: units.length,
+        unitNameCount: new Set(units.map(c => c.unit.name)).size,
+        rearGuardCount: units.filter(c => c.name !== 'V').length,
+        wentFirst: playerIndex === party.firstPlayerIndex,
+        wentSecond: playerIndex !== party.firstPlayerIndex,
+        isTurnPlayer: playerIndex === party.currentPlayerIndex,
+        vanguard: player.board.getCircle('V').unit,
+    };
+}
+
 /**
  * Safely gets a value from the game context based on a path string.
- * @param {string} path - The path to the property, e.g., "player.index".
+ * @param {string} path - The path to the property, e.g., "player.index" or "event.rider.grade".
  * @param {Party} party - The game state, used to resolve top-level context like 'player'.
+ * @param {object} context - { playerIndex, event, source } for the effect being evaluated.
  * @returns {any} The value of the property, or undefined if not found.
  */
-function getContextValue(path, party) {
-    const [context, ...restOfPath] = path.split('.');
+function getContextValue(path, party, context) {
+    const [root, ...restOfPath] = path.split('.');
     let baseContext;
 
-    if (context === 'player') {
-        // The context for 'player' provides properties related to the current player.
-        const player = party.players[party.currentPlayerIndex];
-        baseContext = {
-            index: party.currentPlayerIndex,
-            energy: player.energy,
-            // In the future, you could add:
-            // vanguard: party.players[party.currentPlayerIndex].board.getCircle('V').unit,
-            // handSize: party.players[party.currentPlayerIndex].hand.length,
-        };
-    } else {
-        // In the future, you could add 'opponent', 'event', etc.
-        return undefined;
+    switch (root) {
+        case 'player':
+            baseContext = describePlayer(party, context.playerIndex);
+            break;
+        case 'opponent':
+            baseContext = describePlayer(party, 1 - context.playerIndex);
+            break;
+        case 'vanguard':
+            baseContext = party.players[context.playerIndex].board.getCircle('V').unit;
+            break;
+        case 'unitCount':
+            return describePlayer(party, context.playerIndex).unitCount;
+        case 'event':
+            baseContext = context.event;
+            break;
+        case 'self':
+            baseContext = context.source;
+            break;
+        case 'battle':
+            baseContext = party.currentBattle ? { ...party.currentBattle, ...party.getBattleUnits() } : undefined;
+            break;
+        case 'turn':
+            return party.turn;
+        case 'phase':
+            return party.phase;
+        default:
+            console.warn(`Unknown context in condition: ${path}`);
+            return undefined;
     }
 
     // Traverse the rest of the path if it exists
-    return restOfPath.reduce((acc, part) => acc && acc[part], baseContext);
+    return restOfPath.reduce((acc, part) => acc?.[part], baseContext);
+}
+
+/**
+ * Resolves the right-hand side of a comparison, following { ref } values.
+ * @param {any} value
+ * @param {Party} party
+ * @param {object} context
+ * @returns {any}
+ */
+function resolveValue(value, party, context) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && 'ref' in value) {
+        return getContextValue(value.ref, party, context);
+    }
+    return value;
+}
+
+/**
+ * @param {Array} condition
+ * @returns {boolean} True if the condition is an infix boolean expression.
+ */
+function isBooleanExpression(condition) {
+    return condition.length >= 3 && condition.length % 2 === 1 && (condition[1] === 'and' || condition[1] === 'or');
+}
+
+/**
+ * @param {any} path - A field of a comparison, e.g. "vanguard.grade".
+ * @param {function(string)} report
+ */
+function checkPath(path, report) {
+    if (typeof path !== 'string' || !CONTEXT_ROOTS.includes(path.split('.')[0])) {
+        report(`unknown field ${JSON.stringify(path)}. Expected a path starting with one of: ${CONTEXT_ROOTS.join(', ')}.`);
+    }
+}
+
+/**
+ * Checks the shape of a condition array from the card data without evaluating it: its operators,
+ * the fields it refers to and the values it compares them to.
+ * @param {any} condition
+ * @param {function(string)} report - Receives the problems of the condition.
+ */
+export function checkCondition(condition, report) {
+    if (!Array.isArray(condition)) {
+        report(`${JSON.stringify(condition)} is not a condition list.`);
+        return;
+    }
+
+    if (condition[0] === 'not' && condition.length === 2) {
+        checkCondition(condition[1], report);
+        return;
+    }
+
+    if (isBooleanExpression(condition)) {
+        condition.forEach((part, index) => {
+            if (index % 2 === 0) checkCondition(part, report);
+            else if (part !== 'and' && part !== 'or') report(`unknown logical operator "${part}". Expected "and" or "or".`);
+        });
+        return;
+    }
+
+    if (condition.length === 3 && typeof condition[0] === 'string') {
+        const [field, operator, value] = condition;
+        checkPath(field, report);
+        if (!Object.hasOwn(COMPARISON_OPERATORS, operator)) {
+            report(`unknown operator "${operator}". Expected one of: ${Object.keys(COMPARISON_OPERATORS).join(', ')}.`);
+        }
+        if (value !== null && typeof value === 'object') {
+            if (Array.isArray(value) || Object.keys(value).length !== 1 || !('ref' in value)) {
+                report(`the value ${JSON.stringify(value)} must be a string, a number, a boolean, null or { "ref": "<field>" }.`);
+            } else {
+                checkPath(value.ref, report);
+            }
+        }
+        return;
+    }
+
+    report(`${JSON.stringify(condition)} is not a comparison [field, operator, value], a negation ["not", condition] or conditions joined by "and" and "or".`);
 }
 
 /**
  * Evaluates a condition array from the card data.
  * @param {Array | undefined} condition - The condition array to evaluate.
  * @param {Party} party - The current game state.
+ * @param {object} [context={}] - { playerIndex, event, source }. `playerIndex` defaults to the turn player.
  * @returns {boolean} - True if the condition passes or if there is no condition.
  */
-export function evaluateCondition(condition, party) {
+export function evaluateCondition(condition, party, context = {}) {
     if (!condition) {
         return true; // No condition means it's always met.
     }
+    const fullContext = { playerIndex: party.currentPlayerIndex, event: null, source: null, ...context };
+
+    if (!Array.isArray(condition)) {
+        console.warn('Invalid condition format:', condition);
+        return false;
+    }
 
-    // Handle logical operators (AND, OR)
-    if (condition.includes('and') || condition.includes('or')) {
-        // This is a simplified parser for infix notation.
-        // It assumes a structure like [ [condition1], 'and', [condition2] ]
-        const left = evaluateCondition(condition[0], party);
-        const operator = condition[1];
-        const right = evaluateCondition(condition[2], party);
+    // Handle negation: ['not', condition]
+    if (condition[0] === 'not' && condition.length === 2) {
+        return !evaluateCondition(condition[1], party, fullContext);
+    }
 
-        if (operator === 'and') return left && right;
-        if (operator === 'or') return left || right;
+    // Handle logical operators (AND, OR). "and" groups are evaluated first, then "or"-ed together.
+    if (isBooleanExpression(condition)) {
+        const orGroups = [[condition[0]]];
+        for (let i = 1; i < condition.length; i += 2) {
+            const operator = condition[i];
+            const operand = condition[i + 1];
+            if (operator === 'and') {
+                orGroups[orGroups.length - 1].push(operand);
+            } else if (operator === 'or') {
+                orGroups.push([operand]);
+            } else {
+                console.warn(`Unknown logical operator in condition: ${operator}`);
+                return false;
+            }
+        }
+        return orGroups.some(group => group.every(operand => evaluateCondition(operand, party, fullContext)));
     }
 
     // Handle a single comparison expression: [field, operator, value]
-    if (condition.length === 3) {
+    if (condition.length === 3 && typeof condition[0] === 'string') {
         const [field, operator, value] = condition;
-        const fieldValue = getContextValue(field, party);
-
-        if (operator === '===') return fieldValue === value;
-        if (operator === '!==') return fieldValue !== value;
-        if (operator === '>=') return fieldValue >= value;
-        if (operator === '<=') return fieldValue <= value;
-        // Add more operators like '>', '<', etc. here
-        console.warn(`Unknown operator in condition: ${operator}`);
-        return false;
+        const compare = COMPARISON_OPERATORS[operator];
+        if (!compare) {
+            console.warn(`Unknown operator in condition: ${operator}`);
+            return false;
+        }
+        return compare(getContextValue(field, party, fullContext), resolveValue(value, party, fullContext));
     }
 
     console.warn('Invalid condition format:', condition);
     return false;
-}
\ No newline at end of file
+}
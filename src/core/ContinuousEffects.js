@@ -0,0 +1,138 @@
+/**
+ * @file ContinuousEffects.js
+ * This module recomputes every value derived from [CONT] effects.
+ * Nothing is stacked incrementally: after each state change, the derived values are reset and
+ * re-derived from the base card data plus the [CONT] effects that are currently active. An effect
+ * therefore switches off by itself as soon as its source leaves its zone or its condition stops being met.
+ *
+ * A [CONT] effect in `implemented_effects` looks like:
+ *   { "continuous": true, "zone": "GC", "condition": [...], "modifiers": { "shield": 10000 } }
+ * - zone: where the source must be for the effect to be active ("VC", "RC", "GC", "crestZone", "soul", ...).
+ *   Without a zone, the effect is active while the source is on (VC) or (RC).
+ * - target: the units affected. "self" (default), "vanguard", "frontRow" or "allUnits".
+ * - modifiers: power, shield, critical and grantSkills apply to the targets; maxEnergy applies to the owner.
+ *
+ * Effects that are not carried by a card (e.g. granted by a resolved ability) can be stored as data in
+ * `player.continuousEffects`, as { id, target, modifiers }, and are applied the same way.
+ */
+
+import { evaluateCondition } from './ConditionEvaluator.js';
+
+export const BASE_MAX_ENERGY = 3;
+
+const HIDDEN_ZONES = ['hand', 'deck', 'rideDeck', 'dropZone', 'damageZone', 'gZone', 'bindZone', 'triggerZone', 'removedZone'];
+
+/**
+ * Lists the cards of a player that can be the source of a [CONT] effect, with the zone they are in.
+ * @param {object} player - The player state.
+ * @returns {{card: Card, zone: string}[]}
+ */
+function getActiveSources(player) {
+    return [
+        ...player.board.frontRow.map(c => ({ card: c.unit, zone: c.name === 'V' ? 'VC' : 'RC' })),
+        ...player.board.backRow.map(c => ({ card: c.unit, zone: 'RC' })),
+        ...player.guardianZone.map(card => ({ card, zone: 'GC' })),
+        ...player.crestZone.map(card => ({ card, zone: 'crestZone' })),
+        ...player.orderZone.map(card => ({ card, zone: 'orderZone' })),
+        ...player.soul.map(card => ({ card, zone: 'soul' })),
+    ].filter(item => item.card);
+}
+
+/**
+ * @param {object} player - The player state.
+ * @returns {Card[]} Every card the player owns, in any zone.
+ */
+function getAllCards(player) {
+    return [
+        ...getActiveSources(player).map(item => item.card),
+        ...HIDDEN_ZONES.flatMap(zone => player[zone]),
+    ];
+}
+
+/**
+ * Resolves the units affected by a [CONT] effect.
+ * @param {object} player - The owner of the effect.
+ * @param {Card | null} source - The card carrying the effect, if any.
+ * @param {string} [target='self']
+ * @returns {Card[]}
+ */
+function resolveTargets(player, source, target = 'self') {
+    switch (target) {
+        case 'self':
+            return source ? [source] : [];
+        case 'vanguard':
+            return [player.board.getCircle('V').unit].filter(Boolean);
+        case 'frontRow':
+            return player.board.frontRow.map(c => c.unit).filter(Boolean);
+        case 'allUnits':
+            return [...player.board.frontRow, ...player.board.backRow].map(c => c.unit).filter(Boolean);
+        default:
+            console.warn(`Unknown target for continuous effect: ${target}`);
+            return [];
+    }
+}
+
+/**
+ * Applies the modifiers of one active [CONT] effect.
+ * @param {object} player - The owner of the effect.
+ * @param {Card | null} source - The card carrying the effect, if any.
+ * @param {object} effect - { target, modifiers }
+ */
+function applyModifiers(player, source, { target, modifiers = {} }) {
+    if (modifiers.maxEnergy !== undefined) {
+        player.maxEnergy = Math.max(player.maxEnergy, modifiers.maxEnergy);
+    }
+
+    for (const unit of resolveTargets(player, source, target)) {
+        unit.contPower += modifiers.power ?? 0;
+        unit.contShield += modifiers.shield ?? 0;
+        unit.contCritical += modifiers.critical ?? 0;
+        for (const skill of modifiers.grantSkills ?? []) {
+            if (!unit.grantedSkills.includes(skill)) unit.grantedSkills.push(skill);
+        }
+    }
+}
+
+/**
+ * Re-derives power, shield, critical, granted skills and max energy from the base values
+ * and the currently active [CONT] effects, then clamps energy to the max energy.
+ * @param {Party} party - The game state (mutated).
+ * @returns {Party} The same game state, for chaining.
+ */
+export function applyContinuousEffects(party) {
+    // 1. Reset every derived value to its base.
+    for (const player of party.players) {
+        player.maxEnergy = BASE_MAX_ENERGY;
+        for (const card of getAllCards(player)) {
+            card.contPower = 0;
+            card.contShield = 0;
+            card.contCritical = 0;
+            card.grantedSkills = [];
+        }
+    }
+
+    // 2. Apply the effects whose source is in the right zone and whose condition is met.
+    party.players.forEach((player, playerIndex) => {
+        for (const { card, zone } of getActiveSources(player)) {
+            for (const effect of card.effectsData?.implemented_effects ?? []) {
+                if (!effect.continuous) continue;
+                const isActiveZone = effect.zone ? effect.zone === zone : (zone === 'VC' || zone === 'RC');
+                if (!isActiveZone) continue;
+                if (!evaluateCondition(effect.condition, party, { playerIndex, source: card })) continue;
+                applyModifiers(player, card, effect);
+            }
+        }
+
+        for (const effect of player.continuousEffects) {
+            if (!evaluateCondition(effect.condition, party, { playerIndex })) continue;
+            applyModifiers(player, null, effect);
+        }
+    });
+
+    // 3. Energy above the max is lost.
+    for (const player of party.players) {
+        player.energy = Math.min(player.energy, player.maxEnergy);
+    }
+
+    return party;
+}
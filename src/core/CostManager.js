@@ -0,0 +1,208 @@
+/**
+ * @file CostManager.js
+ * This module handles the [COST] part of card effects.
+ * A cost is described by a plain object, e.g. { counterBlast: 1, energy: 2 }, with the keys:
+ * - energy: Energy-Blast, spend that much energy.
+ * - counterBlast: turn that many face-up cards in the damage zone face down.
+ * - soulBlast: send that many cards from the soul to the drop zone.
+ * - counterCharge: turn that many face-down cards in the damage zone face up.
+ * - soulCharge: put that many cards from the top of the deck into the soul.
+ * - discard: discard that many cards from hand.
+ *
+ * When a cost lets the player choose cards (which damage to flip, which soul to blast),
+ * the choice is carried by a "payment" object: { counterBlast: [uniqueId, ...], soulBlast: [...], counterCharge: [...], discard: [...] }.
+ *
+ * An effect may also have a `freeIf` condition: when it is met, the effect is played without paying its cost.
+ */
+
+import { evaluateCondition } from './ConditionEvaluator.js';
+
+const CHOOSABLE_COSTS = {
+    counterBlast: player => player.damageZone.filter(c => c.isFaceUp),
+    soulBlast: player => player.soul,
+    counterCharge: player => player.damageZone.filter(c => !c.isFaceUp),
+    discard: player => player.hand,
+};
+
+/**
+ * Returns every way to pick `k` elements out of `items`, keeping their order.
+ * @param {any[]} items
+ * @param {number} k
+ * @returns {any[][]}
+ */
+function combinations(items, k) {
+    if (k === 0) return [[]];
+    const result = [];
+    for (let i = 0; i <= items.length - k; i++) {
+        for (const rest of combinations(items.slice(i + 1), k - 1)) {
+            result.push([items[i], ...rest]);
+        }
+    }
+    return result;
+}
+
+/**
+ * @param {object | undefined} cost - The cost object of an effect.
+ * @returns {boolean} True if the cost requires paying anything.
+ */
+export function hasCost(cost) {
+    return !!cost && Object.values(cost).some(amount => amount > 0);
+}
+
+/**
+ * Returns the cost to pay for an effect, taking its `freeIf` condition into account.
+ * @param {object} effect - The effect definition.
+ * @param {Party} party - The game state.
+ * @param {object} context - The condition context ({ playerIndex, source, event }).
+ * @returns {object | undefined} The cost object, or an empty cost if the effect is free.
+ */
+export function getEffectiveCost(effect, party, context) {
+    if (effect.freeIf && evaluateCondition(effect.freeIf, party, context)) return {};
+    return effect.cost;
+}
+
+/**
+ * Checks whether a player has enough resources to pay a cost.
+ * @param {object} player - The player state.
+ * @param {object | undefined} cost - The cost object.
+ * @returns {boolean}
+ */
+export function canPayCost(player, cost) {
+    if (!hasCost(cost)) return true;
+    if ((cost.energy ?? 0) > player.energy) return false;
+    if ((cost.soulCharge ?? 0) > player.deck.length) return false;
+    for (const [key, getCandidates] of Object.entries(CHOOSABLE_COSTS)) {
+        if ((cost[key] ?? 0) > getCandidates(player).length) return false;
+    }
+    return true;
+}
+
+/**
+ * Lists every distinct way a player can pay a cost.
+ * Cards with the same name are interchangeable, so only one combination per set of names is kept, unless `allCopies`.
+ * @param {object} player - The player state.
+ * @param {object | undefined} cost - The cost object.
+ * @param {object} [options]
+ * @param {boolean} [options.allCopies=false] - Keeps every combination of cards, see getPossibleActions.
+ * @returns {object[]} A list of payment objects. Empty if the cost cannot be paid.
+ */
+export function getCostPaymentOptions(player, cost, { allCopies = false } = {}) {
+    if (!canPayCost(player, cost)) return [];
+    let payments = [{}];
+
+    for (const [key, getCandidates] of Object.entries(CHOOSABLE_COSTS)) {
+        const amount = cost?.[key] ?? 0;
+        if (amount === 0) continue;
+
+        const seen = new Set();
+        const choices = combinations(getCandidates(player), amount).filter(cards => {
+            if (allCopies) return true;
+            const signature = cards.map(c => c.name).sort().join('|');
+            if (seen.has(signature)) return false;
+            seen.add(signature);
+            return true;
+        });
+
+        payments = payments.flatMap(payment =>
+            choices.map(cards => ({ ...payment, [key]: cards.map(c => c.uniqueId) }))
+        );
+    }
+
+    return payments;
+}
+
+/**
+ * Builds a short human-readable description of a payment, for action formatters.
+ * @param {object} player - The player state.
+ * @param {object | undefined} payment - The payment object.
+ * @returns {string} e.g. "Counter-Blast: Sia, Lisana", or an empty string when nothing is chosen.
+ */
+export function describePayment(player, payment) {
+    if (!payment) return '';
+    const labels = { counterBlast: 'Counter-Blast', soulBlast: 'Soul-Blast', counterCharge: 'Counter-Charge', discard: 'Discard' };
+    const allCards = [...player.damageZone, ...player.soul, ...player.hand];
+
+    return Object.entries(labels)
+        .filter(([key]) => payment[key]?.length)
+        .map(([key, label]) => {
+            const names = payment[key].map(id => allCards.find(c => c.uniqueId === id)?.name ?? id);
+            return `${label}: ${names.join(', ')}`;
+        })
+        .join('; ');
+}
+
+/**
+ * Pays a cost for a player. The payment is fully validated before anything is changed,
+ * so the player state is either entirely paid or left untouched.
+ * @param {object} player - The player state (mutated).
+ * @param {object | undefined} cost - The cost object.
+ * @param {object} [payment={}] - The chosen cards for costs that require a choice.
+ * @returns {object | null} A receipt listing what was paid ({ energy, counterBlast: [cards], ... }), or null if the cost could not be paid.
+ */
+export function payCost(player, cost, payment = {}) {
+    if (!hasCost(cost)) return {};
+    if (!canPayCost(player, cost)) return null;
+
+    // Resolve and validate the chosen cards for every choosable cost.
+    const chosen = {};
+    for (const [key, getCandidates] of Object.entries(CHOOSABLE_COSTS)) {
+        const amount = cost[key] ?? 0;
+        if (amount === 0) continue;
+
+        const candidates = getCandidates(player);
+        const ids = payment[key] ?? candidates.slice(0, amount).map(c => c.uniqueId);
+        const cards = ids.map(id => candidates.find(c => c.uniqueId === id));
+        if (cards.length !== amount || cards.some(c => !c) || new Set(ids).size !== ids.length) {
+            return null;
+        }
+        chosen[key] = cards;
+    }
+
+    // Everything is valid: apply the cost.
+    player.energy -= cost.energy ?? 0;
+    chosen.counterBlast?.forEach(card => { card.isFaceUp = false; });
+    chosen.counterCharge?.forEach(card => { card.isFaceUp = true; });
+    if (chosen.soulBlast) {
+        player.soul = player.soul.filter(c => !chosen.soulBlast.includes(c));
+        player.dropZone.push(...chosen.soulBlast);
+    }
+    if (chosen.discard) {
+        player.hand = player.hand.filter(c => !chosen.discard.includes(c));
+        player.dropZone.push(...chosen.discard);
+    }
+    chosen.soulCharge = [];
+    for (let i = 0; i < (cost.soulCharge ?? 0); i++) {
+        const card = player.deck.pop();
+        card.isPublic = true;
+        player.soul.push(card);
+        chosen.soulCharge.push(card);
+    }
+
+    return { energy: cost.energy ?? 0, ...chosen };
+}
+
+/**
+ * Emits the events matching a paid cost (ON_COUNTER_BLAST, ON_SOUL_BLAST, ON_DISCARD, ...).
+ * @param {Party} party - The game state.
+ * @param {number} playerIndex - The player who paid the cost.
+ * @param {object} receipt - The receipt returned by payCost.
+ */
+export function emitCostEvents(party, playerIndex, receipt) {
+    const payload = { playerIndex, causedBy: playerIndex };
+    if (receipt.counterBlast?.length) party.emitEvent('ON_COUNTER_BLAST', { ...payload, cards: receipt.counterBlast });
+    if (receipt.counterCharge?.length) party.emitEvent('ON_COUNTER_CHARGE', { ...payload, cards: receipt.counterCharge });
+    if (receipt.soulBlast?.length) {
+        party.emitEvent('ON_SOUL_BLAST', { ...payload, cards: receipt.soulBlast });
+        receipt.soulBlast.forEach(card => party.emitEvent('ON_SENT_TO_DROP', { ...payload, card, from: 'soul', to: 'dropZone' }));
+    }
+    if (receipt.discard?.length) {
+        receipt.discard.forEach(card => {
+            party.emitEvent('ON_DISCARD', { ...payload, card, from: 'hand', to: 'dropZone' });
+            party.emitEvent('ON_SENT_TO_DROP', { ...payload, card, from: 'hand', to: 'dropZone' });
+        });
+    }
+    if (receipt.soulCharge?.length) {
+        party.emitEvent('ON_SOUL_CHARGE', { ...payload, cards: receipt.soulCharge });
+        receipt.soulCharge.forEach(card => party.emitEvent('ON_SENT_TO_SOUL', { ...payload, card, from: 'deck', to: 'soul' }));
+    }
+}
@@ -0,0 +1,294 @@
+/**
+ * @file DeckIO.js
+ * Reads and writes deck lists in several formats. Each format turns a file into a list of entries
+ * ({ section, quantity, cardId, name, line }) and back, and readDeck builds the cards of the entries.
+ * Formats are registered in DECK_FORMATS, by name and file extension:
+ * - markdown (.md): the layout of the files of decks/:
+ *       # Ride
+ *       1x	 Love Call, Marlean	[D Format]	DZ-TD06/001EN
+ *       # Main
+ *       ...
+ *   The columns can be separated by tabs or spaces, and a line can end with a "//" comment.
+ * - text (.txt): "4 Card Name" lines under "Ride Deck" and "Main Deck" headers, resolved by name against the card database.
+ * - json (.json): { "rideDeck": ["DZ-TD06/001EN", ...], "mainDeck": [...] }, one card number per card,
+ *   like the decks of a game record (see GameRecord.js).
+ * - code (.code): a one-line deck code to share a deck, e.g. "VGD1.RFotVEQwMS8wMDVFTnxE...".
+ */
+
+import Card from './Card.js';
+
+const SECTIONS = ['ride', 'main'];
+
+// The prefix of the version 1 deck codes.
+const DECK_CODE_PREFIX = 'VGD1.';
+
+// A card number, e.g. "DZ-BT01/109EN" or "D-TD03/007EN".
+const CARD_NUMBER = /^[A-Za-z0-9]+-[A-Za-z0-9]+\/[A-Za-z0-9]+$/;
+
+/**
+ * @param {string} content
+ * @returns {string[]} The lines of the content.
+ */
+function splitLines(content) {
+    return content.split(/\r?\n/);
+}
+
+/**
+ * @param {string} line
+ * @returns {string | null} 'ride' or 'main' if the line is the header of a section, e.g. "# Ride" or "Main Deck:".
+ */
+function parseSectionHeader(line) {
+    const match = line.trim().match(/^#*\s*(ride|main)(\s+deck)?\s*:?$/i);
+    return match ? match[1].toLowerCase() : null;
+}
+
+const markdown = {
+    extensions: ['.md'],
+
+    parse(content) {
+        const entries = [];
+        const headers = { ride: null, main: null };
+        const errors = [];
+        let section = null;
+
+        splitLines(content).forEach((rawLine, index) => {
+            const line = rawLine.replace(/\s*\/\/.*$/, '').trim();
+            const header = parseSectionHeader(line);
+            if (header) {
+                section = header;
+                headers[header] = index + 1;
+                return;
+            }
+            if (!section || line === '') return;
+
+            // "<quantity>x <name> [<format>] <card number>", with any whitespace between the columns.
+            const words = line.split(/\s+/);
+            const quantity = parseInt(words[0].replace(/x$/i, ''), 10);
+            const cardId = words[words.length - 1];
+            if (words.length < 3 || Number.isNaN(quantity) || !CARD_NUMBER.test(cardId)) {
+                errors.push({ line: index + 1, message: 'This line is not a deck entry: expected "<quantity>x <name> <card number>".' });
+                return;
+            }
+            const name = words.slice(1, -1).join(' ').replace(/\s*\[[^\]]*\]$/, '');
+            entries.push({ section, quantity, cardId, name, line: index + 1 });
+        });
+        return { entries, headers, errors };
+    },
+
+    serialize(entries) {
+        return SECTIONS.map(section => [
+            `# ${section === 'ride' ? 'Ride' : 'Main'}`,
+            ...entries.filter(entry => entry.section === section)
+                .map(({ quantity, name, cardId }) => `${quantity}x\t ${name}\t[D Format]\t${cardId}`),
+        ].join('\n')).join('\n') + '\n';
+    },
+};
+
+const text = {
+    extensions: ['.txt'],
+
+    parse(content, cardDatabase) {
+        const entries = [];
+        const headers = { ride: null, main: null };
+        const errors = [];
+        let section = null;
+
+        splitLines(content).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const header = parseSectionHeader(line);
+            if (header) {
+                section = header;
+                headers[header] = index + 1;
+                return;
+            }
+            if (!section || line === '') return;
+
+            const match = line.match(/^(\d+)\s*x?\s+(.+)$/i);
+            if (!match) {
+                errors.push({ line: index + 1, message: 'This line is not a deck entry: expected "<quantity> <card name>".' });
+                return;
+            }
+            const [cardData] = cardDatabase.findByName(match[2]); // Reprints share their name, the first printing is used
+            if (!cardData) {
+                errors.push({ line: index + 1, message: `Unknown card name "${match[2]}": it is not in the card database.` });
+                return;
+            }
+            entries.push({ section, quantity: parseInt(match[1], 10), cardId: cardData.id, name: cardData.name, line: index + 1 });
+        });
+        return { entries, headers, errors };
+    },
+
+    serialize(entries) {
+        return SECTIONS.map(section => [
+            `${section === 'ride' ? 'Ride' : 'Main'} Deck`,
+            ...entries.filter(entry => entry.section === section).map(({ quantity, name }) => `${quantity} ${name}`),
+        ].join('\n')).join('\n\n') + '\n';
+    },
+};
+
+const json = {
+    extensions: ['.json'],
+
+    parse(content) {
+        const data = JSON.parse(content);
+        if (!Array.isArray(data?.rideDeck) || !Array.isArray(data?.mainDeck)) {
+            return { entries: [], headers: { ride: null, main: null }, errors: [{ line: null, message: 'A JSON deck must have a rideDeck and a mainDeck list.' }] };
+        }
+        const entries = [
+            ...data.rideDeck.map(cardId => ({ section: 'ride', quantity: 1, cardId, name: cardId, line: null })),
+            ...data.mainDeck.map(cardId => ({ section: 'main', quantity: 1, cardId, name: cardId, line: null })),
+        ];
+        return { entries, headers: { ride: null, main: null }, errors: [] };
+    },
+
+    serialize(entries) {
+        const cardIds = section => entries.filter(entry => entry.section === section)
+            .flatMap(({ quantity, cardId }) => Array(quantity).fill(cardId));
+        return JSON.stringify({ rideDeck: cardIds('ride'), mainDeck: cardIds('main') }, null, 2) + '\n';
+    },
+};
+
+const code = {
+    extensions: ['.code'],
+
+    parse(content) {
+        // The code is "VGD1." followed by the base64url encoding of "<ride deck>|<main deck>",
+        // where each deck is a comma-separated list of "<card number>" or "<card number>*<quantity>".
+        const deckCode = content.trim();
+        const fail = message => ({ entries: [], headers: { ride: 1, main: 1 }, errors: [{ line: 1, message }] });
+        if (!deckCode.startsWith(DECK_CODE_PREFIX)) return fail(`A deck code must start with ${DECK_CODE_PREFIX}`);
+
+        const sections = Buffer.from(deckCode.slice(DECK_CODE_PREFIX.length), 'base64url').toString('utf-8').split('|');
+        if (sections.length !== SECTIONS.length) return fail('This deck code is damaged.');
+
+        const entries = [];
+        for (const [index, section] of SECTIONS.entries()) {
+            for (const item of sections[index].split(',').filter(Boolean)) {
+                const [cardId, quantity = '1'] = item.split('*');
+                if (!CARD_NUMBER.test(cardId) || !/^\d+$/.test(quantity)) return fail('This deck code is damaged.');
+                entries.push({ section, quantity: parseInt(quantity, 10), cardId, name: cardId, line: 1 });
+            }
+        }
+        return { entries, headers: { ride: 1, main: 1 }, errors: [] };
+    },
+
+    serialize(entries) {
+        const list = section => entries.filter(entry => entry.section === section)
+            .map(({ quantity, cardId }) => (quantity === 1 ? cardId : `${cardId}*${quantity}`)).join(',');
+        return DECK_CODE_PREFIX + Buffer.from(SECTIONS.map(list).join('|'), 'utf-8').toString('base64url') + '\n';
+    },
+};
+
+/**
+ * The deck formats, by name. A format has the file `extensions` it is used for, and:
+ * - parse(content, cardDatabase): returns { entries, headers: { ride, main }, errors: [{ line, message }] },
+ *   where `headers` are the lines of the section headers;
+ * - serialize(entries): returns the content of a file.
+ */
+export const DECK_FORMATS = { markdown, text, json, code };
+
+/**
+ * Adds a deck format, or replaces the one with the same name.
+ * @param {string} name
+ * @param {{extensions: string[], parse: Function, serialize: Function}} format - See DECK_FORMATS.
+ */
+export function registerDeckFormat(name, format) {
+    DECK_FORMATS[name] = format;
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} [formatName] - Overrides the format given by the file extension.
+ * @returns {string} The name of the format of the file. Markdown if the extension is not known.
+ */
+export function getDeckFormatName(filePath, formatName) {
+    if (formatName) {
+        if (!(formatName in DECK_FORMATS)) {
+            throw new Error(`Unknown deck format "${formatName}". Expected one of: ${Object.keys(DECK_FORMATS).join(', ')}.`);
+        }
+        return formatName;
+    }
+    const extension = filePath.slice(filePath.lastIndexOf('.')).toLowerCase();
+    return Object.keys(DECK_FORMATS).find(name => DECK_FORMATS[name].extensions.includes(extension)) ?? 'markdown';
+}
+
+/**
+ * Gives every card of a deck its instance ID, derived from its position in the deck,
+ * so that the same deck list always gets the same IDs.
+ * @param {{rideDeck: Card[], mainDeck: Card[]}} deck
+ * @returns {{rideDeck: Card[], mainDeck: Card[]}} The same deck.
+ */
+function assignInstanceIds(deck) {
+    [...deck.rideDeck, ...deck.mainDeck].forEach((card, index) => {
+        card.uniqueId = `${card.id}-${index}`;
+    });
+    return deck;
+}
+
+/**
+ * Reads a deck file and returns the ride and main decks.
+ * It uses a card database to enrich the card objects with full details.
+ * Cards missing from the database are created as basic cards, and are reported by validateDeck.
+ * @param {string} content - The content of the deck file.
+ * @param {CardDatabase} cardDatabase
+ * @param {string} [formatName='markdown'] - See DECK_FORMATS.
+ * @returns {{rideDeck: Card[], mainDeck: Card[], lines: {ride: number | null, main: number | null, cards: object}, readErrors: {line: number | null, message: string}[]}}
+ * The decks, where they come from in the file (line numbers start at 1): the section headers and the line of each
+ * card by instance ID, and the parts of the file that could not be read.
+ */
+export function readDeck(content, cardDatabase, formatName = 'markdown') {
+    const { entries, headers, errors } = DECK_FORMATS[formatName].parse(content, cardDatabase);
+    const rideDeck = [];
+    const mainDeck = [];
+    const cardLines = new Map();
+
+    for (const { section, quantity, cardId, name, line } of entries) {
+        for (let i = 0; i < quantity; i++) {
+            const card = Card.fromData(cardId, cardDatabase.get(cardId), name);
+            cardLines.set(card, line);
+            (section === 'ride' ? rideDeck : mainDeck).push(card);
+        }
+    }
+
+    // Sort the ride deck by grade, ascending, to ensure G0 is first.
+    rideDeck.sort((a, b) => (a.grade ?? 99) - (b.grade ?? 99));
+
+    const deck = assignInstanceIds({ rideDeck, mainDeck });
+    const lines = { ...headers, cards: {} };
+    cardLines.forEach((line, card) => { lines.cards[card.uniqueId] = line; });
+    return { ...deck, lines, readErrors: errors };
+}
+
+/**
+ * Writes a deck in a format. The copies of a card are grouped on one entry.
+ * @param {{rideDeck: Card[], mainDeck: Card[]}} deck
+ * @param {string} formatName - See DECK_FORMATS.
+ * @returns {string} The content of the deck file.
+ */
+export function writeDeck(deck, formatName) {
+    const entries = [];
+    for (const [section, cards] of [['ride', deck.rideDeck], ['main', deck.mainDeck]]) {
+        for (const card of cards) {
+            const entry = entries.find(e => e.section === section && e.cardId === card.id);
+            if (entry) {
+                entry.quantity++;
+            } else {
+                entries.push({ section, quantity: 1, cardId: card.id, name: card.name, line: null });
+            }
+        }
+    }
+    return DECK_FORMATS[formatName].serialize(entries);
+}
+
+/**
+ * Builds a deck from a deck list of a game record.
+ * @param {{rideDeck: string[], mainDeck: string[]}} deckList - The card numbers, in deck order.
+ * @param {CardDatabase} cardDatabase
+ * @returns {{rideDeck: Card[], mainDeck: Card[]}}
+ */
+export function buildDeck(deckList, cardDatabase) {
+    return assignInstanceIds({
+        rideDeck: deckList.rideDeck.map(cardId => Card.fromData(cardId, cardDatabase.get(cardId))),
+        mainDeck: deckList.mainDeck.map(cardId => Card.fromData(cardId, cardDatabase.get(cardId))),
+    });
+}
@@ -0,0 +1,136 @@
+/**
+ * @file DeckStats.js
+ * Describes a deck and computes exact odds for it with the hypergeometric distribution: the chance to
+ * hold a card of a grade when riding, to get triggers in a drive check, and to get triggers in damage checks.
+ *
+ * The odds assume that the game follows the rules of the engine: both players draw 5 cards, then draw
+ * one card in each of their draw phases (going first included), and there is no mulligan.
+ * Drive and damage checks reveal cards that have not been seen, which have the same chances as cards
+ * taken from the whole main deck, so their odds do not depend on the turn.
+ */
+
+const TRIGGER_TYPES = ['Critical', 'Draw', 'Front', 'Heal', 'Over'];
+const STARTING_HAND_SIZE = 5;
+
+/**
+ * @param {number} n
+ * @param {number} k
+ * @returns {number} The number of ways to choose k items out of n.
+ */
+function choose(n, k) {
+    if (k < 0 || k > n) return 0;
+    let result = 1;
+    for (let i = 1; i <= Math.min(k, n - k); i++) {
+        result = result * (n - k + i) / i;
+    }
+    return result;
+}
+
+/**
+ * @param {number} population - The number of cards, e.g. the main deck size.
+ * @param {number} successes - The number of cards of interest among them.
+ * @param {number} draws - The number of cards seen.
+ * @param {number} [atLeast=1]
+ * @returns {number} The probability of seeing at least `atLeast` cards of interest.
+ */
+export function probabilityAtLeast(population, successes, draws, atLeast = 1) {
+    let probability = 0;
+    for (let k = atLeast; k <= Math.min(successes, draws); k++) {
+        probability += choose(successes, k) * choose(population - successes, draws - k) / choose(population, draws);
+    }
+    return probability;
+}
+
+/**
+ * @param {Card[]} cards
+ * @param {function(Card): any} key
+ * @returns {object} The number of cards for each value of the key.
+ */
+function countBy(cards, key) {
+    const counts = {};
+    for (const card of cards) {
+        const value = key(card);
+        counts[value] = (counts[value] ?? 0) + 1;
+    }
+    return counts;
+}
+
+/**
+ * Counts the cards drawn by the effect of the first vanguard when it is rode upon by a player who went second,
+ * e.g. "[AUTO]:When this unit is rode upon, if you went second, draw a card."
+ * @param {{rideDeck: Card[]}} deck
+ * @returns {number}
+ */
+function getGoingSecondDraws(deck) {
+    const effects = deck.rideDeck[0]?.effectsData?.implemented_effects ?? [];
+    return effects
+        .filter(effect => effect.trigger === 'on_ride' && JSON.stringify(effect.condition ?? []).includes('wentSecond'))
+        .flatMap(effect => effect.steps ?? [])
+        .filter(step => step.do === 'draw')
+        .reduce((count, step) => count + (step.count ?? 1), 0);
+}
+
+/**
+ * Analyzes a deck.
+ * @param {{rideDeck: Card[], mainDeck: Card[]}} deck
+ * @returns {object} { composition, rideOdds, driveOdds, damageCheckOdds }:
+ * - composition: the main deck size, its cards by grade, trigger type and shield, the shield total,
+ *   the ride deck, the Sentinels and the cards by nation.
+ * - rideOdds: for each of the first turns of a player, the chance to hold a card of the grade to ride (or a grade 3
+ *   on turn 4, for Persona Ride) going first and second. Without one, the ride is from the ride deck and costs a discard:
+ *   `expectedDiscards` is the expected number of cards discarded that way from turn 1 to 3.
+ * - driveOdds: for 1 to 3 drive checks, the chance of at least one trigger, and of at least one trigger of each type.
+ * - damageCheckOdds: for 1 to 6 damage checks, the expected number of triggers and the chance of at least one trigger and one Heal trigger.
+ */
+export function analyzeDeck(deck) {
+    const { rideDeck, mainDeck } = deck;
+    const deckSize = mainDeck.length;
+    const triggers = mainDeck.filter(card => card.trigger);
+    const triggerCounts = Object.fromEntries(TRIGGER_TYPES.map(type => [type, triggers.filter(card => card.trigger === type).length]));
+
+    const composition = {
+        mainDeckSize: deckSize,
+        grades: countBy(mainDeck, card => card.grade ?? '-'),
+        triggers: { total: triggers.length, ...triggerCounts },
+        shields: countBy(mainDeck, card => card.shield),
+        shieldTotal: mainDeck.reduce((total, card) => total + (card.shield ?? 0), 0),
+        rideDeck: rideDeck.map(card => (card.grade === null || card.grade === undefined ? card.name : `[G${card.grade}] ${card.name}`)),
+        sentinels: [...rideDeck, ...mainDeck].filter(card => card.isSentinel).length,
+        nations: countBy([...rideDeck, ...mainDeck], card => card.nation ?? 'None'),
+    };
+
+    // The cards seen at the ride phase of the n-th turn of a player: the starting hand and one draw per turn,
+    // plus what the first vanguard draws once rode upon on the first turn of the player going second.
+    const secondDraws = getGoingSecondDraws(deck);
+    const cardsSeen = (turn, goingSecond) => Math.min(deckSize, STARTING_HAND_SIZE + turn + (goingSecond && turn > 1 ? secondDraws : 0));
+    const rideOdds = [1, 2, 3, 4].map(turn => {
+        const grade = Math.min(turn, 3);
+        const copies = mainDeck.filter(card => card.grade === grade && !card.trigger).length;
+        return {
+            turn,
+            grade,
+            copies,
+            goingFirst: probabilityAtLeast(deckSize, copies, cardsSeen(turn, false)),
+            goingSecond: probabilityAtLeast(deckSize, copies, cardsSeen(turn, true)),
+        };
+    });
+    const expectedDiscards = {
+        goingFirst: rideOdds.slice(0, 3).reduce((total, odds) => total + 1 - odds.goingFirst, 0),
+        goingSecond: rideOdds.slice(0, 3).reduce((total, odds) => total + 1 - odds.goingSecond, 0),
+    };
+
+    const driveOdds = [1, 2, 3].map(checks => ({
+        checks,
+        anyTrigger: probabilityAtLeast(deckSize, triggers.length, checks),
+        ...Object.fromEntries(TRIGGER_TYPES.map(type => [type, probabilityAtLeast(deckSize, triggerCounts[type], checks)])),
+    }));
+
+    const damageCheckOdds = [1, 2, 3, 4, 5, 6].map(checks => ({
+        checks,
+        expectedTriggers: deckSize > 0 ? checks * triggers.length / deckSize : 0,
+        anyTrigger: probabilityAtLeast(deckSize, triggers.length, checks),
+        heal: probabilityAtLeast(deckSize, triggerCounts.Heal, checks),
+    }));
+
+    return { composition, rideOdds: { turns: rideOdds, expectedDiscards, goingSecondDraws: secondDraws }, driveOdds, damageCheckOdds };
+}
@@ -0,0 +1,126 @@
+/**
+ * @file DeckValidator.js
+ * Checks the D-format deck construction rules:
+ * - the main deck has exactly 50 cards, with exactly 16 triggers, at most 4 Heal triggers and at most 1 Over trigger;
+ * - the ride deck has one unit of each grade from 0 to 3, plus at most one crest;
+ * - at most 4 copies of a card, by name, or fewer if the card says so (see `deckLimit` in CardDatabase),
+ *   and at most 4 Sentinels across both decks;
+ * - every card with a nation is from the same nation (nationless cards can be used in any deck);
+ * - every card is legal in the regulation of the deck: Standard decks only use Standard cards,
+ *   Premium decks use Standard and Premium cards.
+ *
+ * Each error gives the line of the deck file it comes from when the deck was read by readDeck
+ * (see `deck.lines`), so that it can be reported like a compiler error. The parts of the file that
+ * could not be read (`deck.readErrors`) are reported as well.
+ */
+
+export const MAIN_DECK_SIZE = 50;
+export const TRIGGER_COUNT = 16;
+export const MAX_COPIES = 4;
+export const MAX_SENTINELS = 4;
+export const MAX_HEAL_TRIGGERS = 4;
+export const MAX_OVER_TRIGGERS = 1;
+export const MAX_CRESTS = 1;
+const RIDE_DECK_GRADES = [0, 1, 2, 3];
+
+// The card regulations each deck regulation accepts.
+export const REGULATIONS = {
+    Standard: ['Standard'],
+    Premium: ['Standard', 'Premium'],
+};
+
+/**
+ * Validates a parsed deck.
+ * @param {{rideDeck: Card[], mainDeck: Card[], lines?: object, readErrors?: object[]}} deck - The deck, as returned by readDeck.
+ * @param {object} [options]
+ * @param {string} [options.regulation='Standard'] - The regulation the deck is built for, see REGULATIONS.
+ * @returns {{line: number | null, message: string}[]} The errors, with the line of the deck file they come from
+ * (null if the deck was not read from a file). Empty if the deck is valid.
+ */
+export function validateDeck(deck, { regulation = 'Standard' } = {}) {
+    if (!(regulation in REGULATIONS)) {
+        throw new Error(`Unknown regulation "${regulation}". Expected one of: ${Object.keys(REGULATIONS).join(', ')}.`);
+    }
+
+    const errors = [];
+    // A deck built from a game record has no lines.
+    const lineOf = card => deck.lines?.cards[card.uniqueId] ?? null;
+    const report = (line, message) => {
+        // Each copy of a card is on the same line, so an error is only reported once per line.
+        if (!errors.some(error => error.line === line && error.message === message)) errors.push({ line, message });
+    };
+    const allCards = [...deck.rideDeck, ...deck.mainDeck];
+
+    (deck.readErrors ?? []).forEach(({ line, message }) => report(line, message));
+
+    // Cards missing from the database are created without a type (see Card.fromData), so nothing else can be checked on them.
+    const unknownCards = allCards.filter(card => card.type === null);
+    unknownCards.forEach(card => report(lineOf(card), `Unknown card ${card.id} (${card.name}): it is not in the card database.`));
+    const knownCards = allCards.filter(card => card.type !== null);
+
+    // Main deck
+    if (deck.mainDeck.length !== MAIN_DECK_SIZE) {
+        report(deck.lines?.main ?? null, `The main deck must have exactly ${MAIN_DECK_SIZE} cards, but it has ${deck.mainDeck.length}.`);
+    }
+    deck.mainDeck.filter(card => card.type === 'Crest').forEach(card => {
+        report(lineOf(card), `${card.name} is a crest: crests can only be in the ride deck.`);
+    });
+
+    const triggers = deck.mainDeck.filter(card => card.trigger);
+    if (triggers.length !== TRIGGER_COUNT) {
+        report(deck.lines?.main ?? null, `The main deck must have exactly ${TRIGGER_COUNT} triggers, but it has ${triggers.length}.`);
+    }
+    checkLimit(triggers.filter(card => card.trigger === 'Heal'), MAX_HEAL_TRIGGERS, 'Heal triggers', lineOf, report);
+    checkLimit(triggers.filter(card => card.trigger === 'Over'), MAX_OVER_TRIGGERS, 'Over triggers', lineOf, report);
+
+    // Ride deck
+    const rideDeckUnits = deck.rideDeck.filter(card => card.type !== 'Crest');
+    for (const grade of RIDE_DECK_GRADES) {
+        const units = rideDeckUnits.filter(card => card.grade === grade);
+        if (units.length === 0) {
+            report(deck.lines?.ride ?? null, `The ride deck must have a grade ${grade} unit.`);
+        } else if (units.length > 1) {
+            report(lineOf(units[1]), `The ride deck must have a single grade ${grade} unit, but it has ${units.length}.`);
+        }
+    }
+    rideDeckUnits.filter(card => card.type !== null && !RIDE_DECK_GRADES.includes(card.grade)).forEach(card => {
+        report(lineOf(card), `${card.name} cannot be in the ride deck: only units of grade 0 to 3 and a crest can.`);
+    });
+    checkLimit(deck.rideDeck.filter(card => card.type === 'Crest'), MAX_CRESTS, 'crests', lineOf, report);
+
+    // Both decks
+    const names = new Set(knownCards.map(card => card.name));
+    for (const name of names) {
+        const copies = knownCards.filter(card => card.name === name);
+        const limit = Math.min(MAX_COPIES, ...copies.map(card => card.deckLimit ?? MAX_COPIES));
+        checkLimit(copies, limit, `copies of ${name}`, lineOf, report);
+    }
+
+    // "[CONT]:Sentinel (You may only have up to four cards with "[CONT]:Sentinel" in a deck)"
+    checkLimit(allCards.filter(card => card.isSentinel), MAX_SENTINELS, 'Sentinels', lineOf, report);
+
+    // The nation of the deck is the one of its first vanguard, or of its first card with a nation.
+    const deckNation = [...deck.rideDeck, ...deck.mainDeck].find(card => card.nation)?.nation;
+    knownCards.filter(card => card.nation && card.nation !== deckNation).forEach(card => {
+        report(lineOf(card), `${card.name} is from ${card.nation}, but the deck is a ${deckNation} deck.`);
+    });
+
+    knownCards.filter(card => !REGULATIONS[regulation].includes(card.regulation)).forEach(card => {
+        report(lineOf(card), `${card.name} is a ${card.regulation ?? 'no regulation'} card: it is not legal in ${regulation}.`);
+    });
+
+    return errors.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+}
+
+/**
+ * Reports the card that goes over a deck limit.
+ * @param {Card[]} cards - The cards the limit applies to, in deck order.
+ * @param {number} limit - The maximum number of such cards.
+ * @param {string} what - What the cards are, e.g. 'Sentinels'.
+ * @param {function(Card): (number | null)} lineOf
+ * @param {function(number | null, string)} report
+ */
+function checkLimit(cards, limit, what, lineOf, report) {
+    if (cards.length <= limit) return;
+    report(lineOf(cards[limit]), `Too many ${what}: a deck may contain at most ${limit}, but this one has ${cards.length}.`);
+}
@@ -0,0 +1,88 @@
+/**
+ * @file EffectInterpreter.js
+ * Runs the declarative effects described in `implemented_effects`.
+ * An effect is a list of steps executed in order. Each step is an object with a `do` key naming
+ * a step of the EffectLibrary, plus its parameters. Two keys are handled by the interpreter itself:
+ * - `{ "do": "if", "condition": [...], "then": [...], "else": [...] }` runs a branch depending on a condition.
+ * - `"onlyIf": "<var>"` on any step skips it unless a previous step remembered at least one card in that var
+ *   (e.g. "If you called a card, draw a card" is `{ "do": "draw", "onlyIf": "called" }`).
+ *
+ * The effect being resolved is stored in `party.resolution` as { program, playerIndex, source, event, vars, answers },
+ * where `program` holds the steps left to run. When a step needs a choice that has not been answered yet, the
+ * resolution stops and `party.pendingChoice` describes the choice. Once answered (see answerChoice),
+ * continueResolution runs the interrupted step again with its answers and goes on with the rest of the program.
+ */
+
+import { steps as stepLibrary, ChoiceRequired } from './EffectLibrary.js';
+import { evaluateCondition } from './ConditionEvaluator.js';
+
+/**
+ * Runs the steps left in `party.resolution` until the effect is over or a step waits for a choice.
+ * @param {Party} party - The game state (mutated).
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Promise<boolean>} True if the effect is fully resolved, false if it waits for `party.pendingChoice`.
+ * @throws {Error} If a step is not a step of the EffectLibrary.
+ */
+export async function continueResolution(party, log) {
+    const resolution = party.resolution;
+
+    while (resolution.program.length > 0) {
+        const step = resolution.program[0];
+        if (step.onlyIf && !(resolution.vars[step.onlyIf]?.length > 0)) {
+            resolution.program.shift();
+            continue;
+        }
+
+        if (step.do === 'if') {
+            const branch = evaluateCondition(step.condition, party, resolution) ? step.then : step.else;
+            resolution.program.splice(0, 1, ...(branch ?? []));
+            continue;
+        }
+
+        // The steps of the cards are checked when the card database is loaded, so an unknown step is a bug.
+        if (!Object.hasOwn(stepLibrary, step.do)) throw new Error(`EffectInterpreter: unknown step "${step.do}".`);
+        const stepFunction = stepLibrary[step.do];
+
+        const { playerIndex, source, event, vars, answers } = resolution;
+        try {
+            await stepFunction(party, step, { playerIndex, source, event, vars, answers, answerIndex: 0, log });
+        } catch (error) {
+            if (!(error instanceof ChoiceRequired)) throw error;
+            party.pendingChoice = error.choice;
+            return false;
+        }
+        resolution.program.shift();
+        resolution.answers = [];
+    }
+
+    party.resolution = null;
+    return true;
+}
+
+/**
+ * Records the answer to the pending choice. The resolution is then continued with continueResolution.
+ * @param {Party} party - The game state (mutated).
+ * @param {number} index - The index of the chosen option in `party.pendingChoice.options`.
+ * @returns {boolean} False if there is no pending choice or the index is not one of its options.
+ */
+export function answerChoice(party, index) {
+    const choice = party.pendingChoice;
+    if (!choice || !Number.isInteger(index) || index < 0 || index >= choice.options.length) return false;
+
+    party.resolution.answers.push(index);
+    party.pendingChoice = null;
+    return true;
+}
+
+/**
+ * Resolves an effect from `implemented_effects`.
+ * @param {Party} party - The game state (mutated).
+ * @param {object} effect - The effect definition.
+ * @param {object} context - { playerIndex, source, event } describing who resolves the effect and why.
+ * @param {function(string)} [log] - Receives the game log messages.
+ * @returns {Promise<boolean>} True if the effect is fully resolved, false if it waits for a choice.
+ */
+export async function resolveEffect(party, effect, { playerIndex, source, event = null }, log) {
+    party.resolution = { program: [...(effect.steps ?? [])], playerIndex, source, event, vars: {}, answers: [] };
+    return await continueResolution(party, log);
+}
@@ -1,80 +1,469 @@
 /**
  * @file EffectLibrary.js
- * This file contains the implementation of card effects.
- * Each function corresponds to an effect that can be triggered by game events.
- * The index of a function in the `effects` array is its ID.
+ * This file contains the building blocks of card effects.
+ * Cards describe their effects in `implemented_effects` as a list of JSON steps, e.g.
+ *   "steps": [ { "do": "draw", "count": 1 }, { "do": "power", "target": "self", "amount": 10000 } ]
+ * Each key of the `steps` object below is a step name usable in `do`. The steps are run by
+ * the EffectInterpreter, which passes them the game state, the step parameters and the effect context.
+ *
+ * The effect context contains:
+ * - playerIndex: the index of the player who owns the effect.
+ * - source: the card instance the effect belongs to.
+ * - event: the event that triggered the effect, if any.
+ * - vars: values remembered between steps (e.g. `called`, `found`), as lists of card instances.
+ * - answers: the options already chosen by the player during the current step (see chooseOption).
+ * - log: receives the game log messages, if any.
+ *
+ * A step that needs a decision asks for it with chooseOption. When the answer is not known yet, the step is
+ * interrupted and the game waits for the player (see `Party.pendingChoice`); once answered, the step is run again
+ * from its start with the answer. Steps must therefore make all of their choices before changing the game state.
  */
 
+const REAR_GUARD_CIRCLES = ['R1', 'R2', 'R3', 'R4', 'R5'];
+
+/**
+ * Thrown by chooseOption when the player has to make a choice that has not been answered yet.
+ */
+export class ChoiceRequired extends Error {
+    /**
+     * @param {object} choice - { playerIndex, prompt, options } where options are the labels shown to the player.
+     */
+    constructor(choice) {
+        super(`Player ${choice.playerIndex + 1} has to choose: ${choice.prompt}`);
+        this.name = 'ChoiceRequired';
+        this.choice = choice;
+    }
+}
+
 /**
- * Effect 0: [AUTO]:When this unit is rode upon, if you went second, draw a card.
- * Card: Energy Generator
- * @param {Party} party - The current game state.
- * @param {object} eventPayload - The data associated with the event.
+ * Asks the player who owns the effect to choose one option. With a single option, it is taken without asking.
+ * @param {object} ctx - The effect context.
+ * @param {string} prompt - The question shown to the player.
+ * @param {any[]} options - The available options.
+ * @param {function(any): string} format - Formats an option for display.
+ * @returns {Promise<any>} The chosen option, or undefined if there are no options.
+ * @throws {ChoiceRequired} If the answer is not known yet.
  */
-async function onRideIfSecondDraw(party, eventPayload, rl) {
-    const [riddedCard, riddingCard] = eventPayload.target;
-    const playerIndex = party.currentPlayerIndex;
+export async function chooseOption(ctx, prompt, options, format) {
+    if (options.length <= 1) return options[0];
 
-    console.log(`> Effect of "${riddedCard.name}" resolved: Player ${playerIndex + 1} draws a card.`);
-    const [drawnCard] = party.draw(playerIndex, 1);
-    // This draw is public knowledge
-    if (drawnCard) drawnCard.isPublic = true;
+    if (ctx.answerIndex < ctx.answers.length) {
+        return options[ctx.answers[ctx.answerIndex++]];
+    }
+    throw new ChoiceRequired({ playerIndex: ctx.playerIndex, prompt, options: options.map(format) });
+}
+
+/**
+ * Keeps one damage per name and face, as those are interchangeable choices. A face-up and a face-down copy
+ * are not: healing the face-down one keeps the face-up one for a Counter-Blast.
+ * @param {Card[]} cards - The cards of a damage zone.
+ * @returns {Card[]}
+ */
+function distinctDamage(cards) {
+    return cards.filter((card, index) => cards.findIndex(c => c.name === card.name && c.isFaceUp === card.isFaceUp) === index);
 }
 
 /**
- * Effect 1: [AUTO] Ride Deck: When you ride, put this card into the crest zone, and if you went second, [Energy-Charge 3].
- * @param {Party} party - The current game state.
- * @param {object} eventPayload - The data associated with the event.
+ * Checks a card against a step filter such as { maxGrade: 3, nameIncludes: "Sarevsael", normalUnit: true }.
+ * @param {Card} card
+ * @param {object} [filter={}]
+ * @returns {boolean}
  */
-async function onRideEnergyCrest(party, eventPayload, rl) {
-    const playerIndex = party.currentPlayerIndex;
-    const player = party.players[playerIndex];
+function matchesFilter(card, filter = {}) {
+    if (filter.maxGrade !== undefined && !(card.grade <= filter.maxGrade)) return false;
+    if (filter.minGrade !== undefined && !(card.grade >= filter.minGrade)) return false;
+    if (filter.nameIncludes !== undefined && !card.name.includes(filter.nameIncludes)) return false;
+    if (filter.name !== undefined && card.name !== filter.name) return false;
+    if (filter.unitsOnly && card.power === null) return false;
+    if (filter.normalUnit && (card.power === null || card.trigger)) return false;
+    return true;
+}
+
+/**
+ * Resolves the units targeted by a step.
+ * - "self": the source card of the effect, if it is on the board.
+ * - "vanguard": the player's vanguard.
+ * - "called" / "found": the cards remembered by a previous step.
+ * - "chosenUnit": one of the player's units, chosen by the player.
+ * @param {Party} party
+ * @param {object} ctx - The effect context.
+ * @param {string} [target='self']
+ * @returns {Promise<Card[]>}
+ */
+async function resolveTargets(party, ctx, target = 'self') {
+    const player = party.players[ctx.playerIndex];
+    const units = [...player.board.frontRow, ...player.board.backRow].map(c => c.unit).filter(Boolean);
+
+    switch (target) {
+        case 'self':
+            return units.includes(ctx.source) ? [ctx.source] : [];
+        case 'vanguard':
+            return [player.board.getCircle('V').unit].filter(Boolean);
+        case 'chosenUnit': {
+            const unit = await chooseOption(ctx, 'Choose one of your units:', units, u => `[G${u.grade}] ${u.name}`);
+            return unit ? [unit] : [];
+        }
+        default:
+            return (ctx.vars[target] ?? []).filter(card => units.includes(card));
+    }
+}
+
+/** Draws cards. Params: { count = 1 } */
+async function draw(party, { count = 1 }, ctx) {
+    const drawnCards = party.draw(ctx.playerIndex, count);
+    // Cards drawn by an effect are public knowledge
+    drawnCards.forEach(card => { card.isPublic = true; });
+    if (ctx.log) ctx.log(`> Player ${ctx.playerIndex + 1} draws ${drawnCards.length} card(s).`);
+}
+
+/** [Energy-Charge X]. Params: { amount } */
+async function energyCharge(party, { amount }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    player.energy = Math.min(player.energy + amount, player.maxEnergy);
+    if (ctx.log) ctx.log(`> [Energy-Charge ${amount}]. Energy: ${player.energy}`);
+}
+
+/**
+ * Gives power until end of turn, or until end of that battle with `duration: "battle"`.
+ * Params: { amount, target = "self", duration = "turn" }
+ */
+async function power(party, { amount, target, duration = 'turn' }, ctx) {
+    for (const unit of await resolveTargets(party, ctx, target)) {
+        if (duration === 'battle') unit.battlePower += amount;
+        else unit.bonusPower += amount;
+        if (ctx.log) ctx.log(`> ${unit.name} gets +${amount} Power until end of ${duration === 'battle' ? 'that battle' : 'turn'}.`);
+    }
+}
+
+/**
+ * Gives critical until end of turn, or until end of that battle with `duration: "battle"`.
+ * Params: { amount, target = "self", duration = "turn" }
+ */
+async function critical(party, { amount, target, duration = 'turn' }, ctx) {
+    for (const unit of await resolveTargets(party, ctx, target)) {
+        if (duration === 'battle') unit.battleCritical += amount;
+        else unit.bonusCritical += amount;
+        if (ctx.log) ctx.log(`> ${unit.name} gets +${amount} Critical until end of ${duration === 'battle' ? 'that battle' : 'turn'}.`);
+    }
+}
+
+/** The units cannot be hit until end of that battle (perfect guard). Params: { target = "chosenUnit" } */
+async function cannotBeHit(party, { target = 'chosenUnit' }, ctx) {
+    for (const unit of await resolveTargets(party, ctx, target)) {
+        unit.cannotBeHit = true;
+        if (ctx.log) ctx.log(`> ${unit.name} cannot be hit until end of that battle.`);
+    }
+}
+
+/**
+ * Reveals the top card of the deck into the trigger zone, for a drive check or a damage check.
+ * Params: { checkType: "drive" | "damage" }
+ */
+async function revealCheck(party, { checkType }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    if (player.deck.length === 0) return;
+
+    const checkedCard = player.deck.pop();
+    checkedCard.isPublic = true;
+    player.triggerZone.push(checkedCard);
+    if (ctx.log) ctx.log(`>> ${checkType === 'drive' ? 'Drive' : 'Damage'} Check: [G${checkedCard.grade}] ${checkedCard.name}`);
+
+    // A damage check is caused by the attacking player.
+    const payload = { playerIndex: ctx.playerIndex, causedBy: checkType === 'drive' ? ctx.playerIndex : 1 - ctx.playerIndex, card: checkedCard };
+    party.emitEvent(checkType === 'drive' ? 'ON_DRIVE_CHECK' : 'ON_DAMAGE_CHECK', { ...payload, from: 'deck', to: checkType === 'drive' ? 'hand' : 'damageZone' });
+    party.emitEvent('ON_CHECK', { ...payload, checkType });
+}
+
+/**
+ * Applies the trigger of the card in the trigger zone, then puts the card into hand (drive check)
+ * or into the damage zone (damage check).
+ * Triggers: +10000 Power to a chosen unit, plus +1 Critical (Critical), a draw (Draw), or healing one damage
+ * if the player has at least as much damage as the opponent (Heal). A Front trigger gives +10000 Power to the front row.
+ * Params: { checkType: "drive" | "damage" }
+ */
+async function resolveCheck(party, { checkType }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    const opponent = party.players[1 - ctx.playerIndex];
+    const [checkedCard] = player.triggerZone;
+    if (!checkedCard) return;
+
+    const trigger = checkedCard.trigger;
+    const units = [...player.board.frontRow, ...player.board.backRow].map(c => c.unit).filter(Boolean);
+    const formatUnit = u => `[G${u.grade}] ${u.name}`;
+    const canHeal = trigger === 'Heal' && player.damageZone.length > 0 && player.damageZone.length >= opponent.damageZone.length;
 
-    // Find the crest in the ride deck and move it to the crest zone
-    const crestIndex = player.rideDeck.findIndex(c => c.name === 'Energy Generator');
-    if (crestIndex !== -1) {
-        const [crestCard] = player.rideDeck.splice(crestIndex, 1);
-        player.crestZone.push(crestCard);
-        console.log(`> ${crestCard.name} moved to the Crest Zone.`);
+    // Every choice is made before the state changes.
+    const powerTarget = trigger && trigger !== 'Front'
+        ? await chooseOption(ctx, `${trigger} Trigger: choose a unit to get +10000 Power`, units, formatUnit)
+        : null;
+    const criticalTarget = trigger === 'Critical'
+        ? await chooseOption(ctx, 'Critical Trigger: choose a unit to get +1 Critical', units, formatUnit)
+        : null;
+    const healedCard = canHeal
+        ? await chooseOption(ctx, 'Heal Trigger: choose a damage to heal', distinctDamage(player.damageZone),
+            c => `${formatUnit(c)}${c.isFaceUp ? '' : ' (face down)'}`)
+        : null;
 
-        // Add the continuous effect for max energy
-        player.continuousEffects.push({
-            id: 'MAX_ENERGY_10',
-            effect: (p) => { p.maxEnergy = 10; }
+    if (trigger && ctx.log) ctx.log(`>>> ${trigger} Trigger Activated!`);
+    if (trigger === 'Front') {
+        player.board.frontRow.forEach(c => {
+            if (c.unit) c.unit.bonusPower += 10000;
         });
-        console.log(`> [CONT] effect applied: Max energy is now 10.`);
+        if (ctx.log) ctx.log('>>> All front row units get +10000 Power!');
     }
+    if (powerTarget) {
+        powerTarget.bonusPower += 10000;
+        if (ctx.log) ctx.log(`>>> ${powerTarget.name} gets +10000 Power!`);
+    }
+    if (criticalTarget) {
+        criticalTarget.bonusCritical += 1;
+        if (ctx.log) ctx.log(`>>> ${criticalTarget.name} gets +1 Critical!`);
+    }
+    if (trigger === 'Draw') {
+        // A card drawn from a trigger effect is public knowledge.
+        party.draw(ctx.playerIndex, 1).forEach(card => { card.isPublic = true; });
+        if (ctx.log) ctx.log('>>> You draw a card.');
+    }
+    if (healedCard) {
+        player.damageZone.splice(player.damageZone.indexOf(healedCard), 1);
+        healedCard.isFaceUp = true;
+        player.dropZone.push(healedCard);
+        party.emitEvent('ON_SENT_TO_DROP', { playerIndex: ctx.playerIndex, card: healedCard, from: 'damageZone', to: 'dropZone' });
+        if (ctx.log) ctx.log(`>>> Healed 1 damage. [G${healedCard.grade}] ${healedCard.name} moved to drop zone.`);
+    } else if (trigger === 'Heal' && ctx.log) {
+        ctx.log('>>> Heal condition not met (your damage must be >= opponent\'s damage).');
+    }
+
+    player.triggerZone.splice(player.triggerZone.indexOf(checkedCard), 1);
+    if (checkType === 'drive') {
+        player.hand.push(checkedCard);
+        if (ctx.log) ctx.log('>> Card added to hand.');
+    } else {
+        player.damageZone.push(checkedCard);
+    }
+}
+
+/**
+ * Searches the deck for up to `count` cards, reveals them and puts them into hand.
+ * Params: { name, sameNameAs, filter, count = 1 }.
+ * `sameNameAs` looks for the name of the source ("self") or of the first card remembered in a var (e.g. "called").
+ * The found cards are remembered as `found`.
+ */
+async function searchDeck(party, { name, sameNameAs, filter = {}, count = 1 }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    const cardName = sameNameAs === 'self' ? ctx.source.name : sameNameAs ? ctx.vars[sameNameAs]?.[0]?.name : name;
+    if (sameNameAs && !cardName) return;
+    const found = [];
+
+    for (let i = 0; i < count; i++) {
+        const deckIndex = player.deck.findIndex(c => (cardName === undefined || c.name === cardName) && matchesFilter(c, filter));
+        if (deckIndex === -1) break;
+        const [foundCard] = player.deck.splice(deckIndex, 1);
+        // The searched card is revealed
+        foundCard.isPublic = true;
+        player.hand.push(foundCard);
+        found.push(foundCard);
+        party.emitEvent('ON_SENT_TO_HAND', { playerIndex: ctx.playerIndex, card: foundCard, from: 'deck', to: 'hand' });
+        if (ctx.log) ctx.log(`> Searched the deck and added ${foundCard.name} to hand.`);
+    }
+    ctx.vars.found = found;
+}
+
+/** Shuffles the deck of the effect owner. */
+async function shuffle(party, params, ctx) {
+    party.shuffleDeck(ctx.playerIndex);
+}
 
-    // If player went second, Energy-Charge 3
-    if (playerIndex === 1) {
-        console.log('> Player 2 went second, Energy-Charging 3.');
-        player.energy += 3;
+/**
+ * Puts a card on a rear-guard circle chosen by the player. A unit already on that circle is retired.
+ * Emits ON_SENT_TO_DROP for the retired unit and ON_CALL for the called card.
+ * @param {Party} party
+ * @param {object} ctx - The effect context.
+ * @param {Card} card - The card to call, already removed from its previous zone.
+ * @param {string} from - The zone the card comes from.
+ * @param {object} options - { openCircleOnly, rest }
+ * @returns {Promise<boolean>} True if the card was called.
+ */
+async function callToRearGuardCircle(party, ctx, card, from, { openCircleOnly = false, rest = false }) {
+    const player = party.players[ctx.playerIndex];
+    const circles = REAR_GUARD_CIRCLES.map(name => player.board.getCircle(name)).filter(c => !openCircleOnly || !c.unit);
+    const circle = await chooseOption(ctx, 'Choose a circle:', circles, c => `${c.name}${c.unit ? ` (retire ${c.unit.name})` : ''}`);
+    if (!circle) return false;
+
+    player[from].splice(player[from].indexOf(card), 1);
+    if (circle.unit) {
+        player.dropZone.push(circle.unit);
+        party.emitEvent('ON_SENT_TO_DROP', { playerIndex: ctx.playerIndex, card: circle.unit, from: circle.name, to: 'dropZone' });
     }
+    card.isResting = rest;
+    card.isPublic = true;
+    circle.unit = card;
+    party.emitEvent('ON_CALL', { playerIndex: ctx.playerIndex, card, from, to: circle.name });
+    if (ctx.log) ctx.log(`> ${card.name} is called to ${circle.name}.`);
+    return true;
+}
+
+/**
+ * Calls a card from hand to a rear-guard circle. A unit already on that circle is retired.
+ * Params: { filter, optional = false, openCircleOnly = false, rest = false }
+ * The called cards are remembered as `called`.
+ */
+async function callFromHand(party, { filter = {}, optional = false, openCircleOnly = false, rest = false }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    const candidates = player.hand.filter(c => c.power !== null && matchesFilter(c, filter));
+    const options = optional ? [...candidates, null] : candidates;
+    ctx.vars.called = [];
+
+    const card = await chooseOption(ctx, 'Choose a card to call:', options, c => c ? `[G${c.grade}] ${c.name}` : 'Do not call');
+    if (!card) return;
+    if (await callToRearGuardCircle(party, ctx, card, 'hand', { openCircleOnly, rest })) ctx.vars.called = [card];
+}
+
+/**
+ * Calls a card from the drop zone to a rear-guard circle. A unit already on that circle is retired.
+ * Params: { filter, optional = false, openCircleOnly = false, rest = false }
+ * The called cards are remembered as `called`.
+ */
+async function callFromDrop(party, { filter = {}, optional = false, openCircleOnly = false, rest = false }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    const candidates = player.dropZone.filter(c => c.power !== null && matchesFilter(c, filter));
+    const options = optional ? [...candidates, null] : candidates;
+    ctx.vars.called = [];
+
+    const card = await chooseOption(ctx, 'Choose a card to call from the drop zone:', options, c => c ? `[G${c.grade}] ${c.name}` : 'Do not call');
+    if (!card) return;
+    if (await callToRearGuardCircle(party, ctx, card, 'dropZone', { openCircleOnly, rest })) ctx.vars.called = [card];
 }
 
 /**
- * Effect 2: [AUTO]: At the beginning of your ride phase, [Energy-Charge 3].
- * @param {Party} party - The current game state.
+ * Calls the source card from the zone it is in (hand, drop zone or soul) to a rear-guard circle.
+ * Params: { openCircleOnly = false, rest = false }
+ * The called card is remembered as `called`.
  */
-async function onRidePhaseStartEnergyCrest(party, eventPayload, rl) {
-    const playerIndex = party.currentPlayerIndex;
-    const player = party.players[playerIndex];
-    console.log(`> Effect of Energy Generator: [Energy-Charge 3].`);
-    player.energy += 3;
+async function callSelf(party, { openCircleOnly = false, rest = false }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    const from = ['hand', 'dropZone', 'soul'].find(zone => player[zone].includes(ctx.source));
+    ctx.vars.called = [];
+    if (!from) return;
+    if (await callToRearGuardCircle(party, ctx, ctx.source, from, { openCircleOnly, rest })) ctx.vars.called = [ctx.source];
+}
+
+/**
+ * Returns one of the player's rear-guards to hand.
+ * Params: { filter, optional = false }
+ * The returned cards are remembered as `returned`.
+ */
+async function returnToHand(party, { filter = {}, optional = false }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    const circles = REAR_GUARD_CIRCLES.map(name => player.board.getCircle(name)).filter(c => c.unit && matchesFilter(c.unit, filter));
+    const options = optional ? [...circles, null] : circles;
+    ctx.vars.returned = [];
+
+    const circle = await chooseOption(ctx, 'Choose a rear-guard to return to hand:', options, c => c ? `${c.name}: ${c.unit.name}` : 'Do not return');
+    if (!circle) return;
+
+    const card = circle.unit;
+    circle.unit = null;
+    card.isResting = false;
+    card.isPublic = true; // Both players saw it on the field
+    player.hand.push(card);
+    ctx.vars.returned = [card];
+    party.emitEvent('ON_SENT_TO_HAND', { playerIndex: ctx.playerIndex, card, from: circle.name, to: 'hand' });
+    if (ctx.log) ctx.log(`> ${card.name} returns to hand.`);
 }
 
 /**
- * Effect 3: [ACT][1/Turn]:[COST][Energy-Blast 7], and draw a card.
- * @param {Party} party - The current game state.
+ * Moves the source card from wherever it is in its owner's zones to another zone.
+ * Params: { to } e.g. "crestZone", or "removedZone" for "Remove this card"
  */
-async function onActEnergyCrest(party, eventPayload, rl) {
-    const playerIndex = party.currentPlayerIndex;
-    party.players[playerIndex].energy -= 7;
-    if (rl) console.log(`> Paid cost: Energy Blast 7. Remaining energy: ${party.players[playerIndex].energy}`);
-    const [drawnCard] = party.draw(playerIndex, 1);
-    // This draw is public knowledge
-    if (drawnCard) drawnCard.isPublic = true;
-    if (rl) console.log('> Drew 1 card.');
+async function moveSelf(party, { to }, ctx) {
+    const player = party.players[ctx.playerIndex];
+    for (const zone of ['hand', 'rideDeck', 'deck', 'dropZone', 'soul', 'crestZone', 'orderZone']) {
+        const index = player[zone].indexOf(ctx.source);
+        if (index !== -1) {
+            player[zone].splice(index, 1);
+            player[to].push(ctx.source);
+            if (ctx.log) ctx.log(`> ${ctx.source.name} moved to the ${to}.`);
+            return;
+        }
+    }
 }
 
-export const effects = [onRideIfSecondDraw, onRideEnergyCrest, onRidePhaseStartEnergyCrest, onActEnergyCrest];
\ No newline at end of file
+export const steps = {
+    draw,
+    energyCharge,
+    power,
+    critical,
+    cannotBeHit,
+    revealCheck,
+    resolveCheck,
+    searchDeck,
+    shuffle,
+    callFromHand,
+    callFromDrop,
+    callSelf,
+    returnToHand,
+    moveSelf,
+};
+
+// The zones of a player that moveSelf can move a card to.
+const MOVE_ZONES = ['hand', 'deck', 'rideDeck', 'dropZone', 'damageZone', 'soul', 'gZone', 'bindZone', 'orderZone', 'crestZone', 'removedZone'];
+
+// The keys of a step filter, see matchesFilter, and the kind of value each one takes.
+const FILTER_PARAMS = { maxGrade: 'integer', minGrade: 'integer', nameIncludes: 'string', name: 'string', unitsOnly: 'boolean', normalUnit: 'boolean' };
+
+// The kinds of values of the step parameters: how to recognize one, and how to describe it.
+const PARAM_KINDS = {
+    integer: { test: value => Number.isInteger(value), expected: 'an integer' },
+    count: { test: value => Number.isInteger(value) && value > 0, expected: 'a positive integer' },
+    boolean: { test: value => typeof value === 'boolean', expected: 'true or false' },
+    string: { test: value => typeof value === 'string', expected: 'a string' },
+    target: { test: value => typeof value === 'string', expected: '"self", "vanguard", "chosenUnit" or the name of a var' },
+    duration: { test: value => value === 'turn' || value === 'battle', expected: '"turn" or "battle"' },
+    checkType: { test: value => value === 'drive' || value === 'damage', expected: '"drive" or "damage"' },
+    zone: { test: value => MOVE_ZONES.includes(value), expected: `one of: ${MOVE_ZONES.join(', ')}` },
+    filter: {
+        test: value => value !== null && typeof value === 'object' && !Array.isArray(value) && Object.entries(value)
+            .every(([key, item]) => Object.hasOwn(FILTER_PARAMS, key) && PARAM_KINDS[FILTER_PARAMS[key]].test(item)),
+        expected: `an object with some of: ${Object.entries(FILTER_PARAMS).map(([key, kind]) => `${key} (${kind})`).join(', ')}`,
+    },
+};
+
+// The parameters of each step, as documented on the step above, with the kind of value each one takes
+// and the ones the step cannot do without. Every step also takes `onlyIf`, see EffectInterpreter.
+const STEP_PARAMS = {
+    draw: { params: { count: 'count' } },
+    energyCharge: { params: { amount: 'count' }, required: ['amount'] },
+    power: { params: { amount: 'integer', target: 'target', duration: 'duration' }, required: ['amount'] },
+    critical: { params: { amount: 'integer', target: 'target', duration: 'duration' }, required: ['amount'] },
+    cannotBeHit: { params: { target: 'target' } },
+    revealCheck: { params: { checkType: 'checkType' }, required: ['checkType'] },
+    resolveCheck: { params: { checkType: 'checkType' }, required: ['checkType'] },
+    searchDeck: { params: { name: 'string', sameNameAs: 'string', filter: 'filter', count: 'count' } },
+    shuffle: { params: {} },
+    callFromHand: { params: { filter: 'filter', optional: 'boolean', openCircleOnly: 'boolean', rest: 'boolean' } },
+    callFromDrop: { params: { filter: 'filter', optional: 'boolean', openCircleOnly: 'boolean', rest: 'boolean' } },
+    callSelf: { params: { openCircleOnly: 'boolean', rest: 'boolean' } },
+    returnToHand: { params: { filter: 'filter', optional: 'boolean' } },
+    moveSelf: { params: { to: 'zone' }, required: ['to'] },
+};
+
+/**
+ * Checks the parameters of a step from the card data without running it: their names, their values
+ * and the ones the step requires.
+ * @param {object} step - A step whose `do` is one of the steps of the library.
+ * @param {function(string)} report - Receives the problems of the step.
+ */
+export function checkStepParams(step, report) {
+    const { params, required = [] } = STEP_PARAMS[step.do];
+    const allParams = { ...params, onlyIf: 'string' };
+    for (const [key, value] of Object.entries(step)) {
+        if (key === 'do') continue;
+        if (!Object.hasOwn(allParams, key)) {
+            report(`step "${step.do}": unknown parameter "${key}". Expected ${Object.keys(allParams).join(', ')}.`);
+        } else if (!PARAM_KINDS[allParams[key]].test(value)) {
+            report(`step "${step.do}": ${key} must be ${PARAM_KINDS[allParams[key]].expected}, not ${JSON.stringify(value)}.`);
+        }
+    }
+    required.filter(key => step[key] === undefined).forEach(key => report(`step "${step.do}": missing parameter "${key}".`));
+}
@@ -0,0 +1,217 @@
+/**
+ * @file GameEngine.js
+ * Plays a game without any terminal. The engine owns the whole turn loop: after each action it runs
+ * every automatic part of the game (phases, battle steps, checks, mandatory effects) and stops when a player
+ * has to decide. Every decision, including trigger targets and effect targets, is a legal action of getLegalActions.
+ *
+ * Every state is a new Party, so the engine keeps the states of the past decisions to undo them. An undo goes
+ * back to the last decision of the player asking for it. Unless in practice mode, a player cannot undo past
+ * a decision of their opponent, nor past a change of a deck (a draw, a check, a shuffle...) or a card leaving
+ * the opponent's hand (e.g. a guard), as they would take back a decision after seeing cards that were hidden
+ * when they took it.
+ */
+
+import Party from './Party.js';
+import { getPossibleActions } from './ActionManager.js';
+import { applyAction } from './ActionApplier.js';
+import { validateAction, findLegalActionIndex, IllegalActionError } from './ActionValidator.js';
+
+/**
+ * @param {Card[]} deck1
+ * @param {Card[]} deck2
+ * @returns {boolean} True if both decks hold the same cards in the same order.
+ */
+function haveSameCards(deck1, deck2) {
+    return deck1.length === deck2.length && deck1.every((card, index) => card.uniqueId === deck2[index].uniqueId);
+}
+
+/**
+ * @param {Party} before
+ * @param {Party} after
+ * @param {number} playerIndex
+ * @returns {boolean} True if a card that was hidden in the hand of the player in `before` is not anymore in `after`:
+ * it was played, revealed or sent to another zone.
+ */
+function revealsHand(before, after, playerIndex) {
+    const hiddenCardIds = new Set(after.players[playerIndex].hand.filter(card => !card.isPublic).map(card => card.uniqueId));
+    return before.players[playerIndex].hand.some(card => !card.isPublic && !hiddenCardIds.has(card.uniqueId));
+}
+
+class GameEngine {
+    /**
+     * @param {Party} party - The game state to play from.
+     * @param {object} [options]
+     * @param {function(string)} [options.log] - Receives the game log messages.
+     * @param {boolean} [options.practiceMode=false] - Allows to undo past draws, checks and shuffles.
+     */
+    constructor(party, { log, practiceMode = false } = {}) {
+        this.party = party;
+        this.log = log;
+        this.practiceMode = practiceMode;
+        this.pastDecisions = []; // { party, playerIndex }: the state before each action, and who took it
+        this.undone = []; // { decisions, party }: what each undo took back, for redo
+        this._legalActions = null; // The legal actions of `_legalActionsParty`, computed once per state
+        this._legalActionsParty = null;
+    }
+
+    /**
+     * Starts a new game between two decks. The game waits for the first player's mulligan.
+     * @param {{rideDeck: Card[], mainDeck: Card[]}} deck1 - The deck of player 1.
+     * @param {{rideDeck: Card[], mainDeck: Card[]}} deck2 - The deck of player 2.
+     * @param {object} [options] - See the constructor.
+     * @param {number} [options.seed] - Seeds the random events of the game, see Party.
+     * @returns {GameEngine}
+     */
+    static fromDecks(deck1, deck2, options = {}) {
+        const party = new Party(deck1, deck2, { seed: options.seed });
+        party.startGame();
+        return new GameEngine(party, options);
+    }
+
+    /**
+     * @returns {object[]} The actions the deciding player can take. Empty once the game is over.
+     */
+    getLegalActions() {
+        if (this.isGameOver()) return [];
+        if (this._legalActionsParty !== this.party) {
+            this._legalActions = getPossibleActions(this.party);
+            this._legalActionsParty = this.party;
+        }
+        return this._legalActions;
+    }
+
+    /**
+     * @returns {number} The index of the player who has to choose the next action.
+     */
+    getDecidingPlayerIndex() {
+        return this.party.getDecidingPlayerIndex();
+    }
+
+    /**
+     * @returns {{playerIndex: number, prompt: string, options: string[]} | null} The choice an effect waits for, if any.
+     */
+    getPendingChoice() {
+        return this.party.pendingChoice;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isGameOver() {
+        return this.party.isGameOver();
+    }
+
+    /**
+     * Applies an action of the deciding player, then runs the game until the next decision.
+     * The action is recorded in `party.history` in its canonical form, without its display `description`
+     * (see ActionManager), so that the game can be replayed from its seed and decks (see GameRecord.js).
+     * @param {object} action - One of the actions returned by getLegalActions, or an action with the same identifying fields,
+     * or the same action with another copy of a card (see getPossibleActions).
+     * @returns {Promise<Party>} The new game state.
+     * @throws {IllegalActionError} If the action is not legal, see validateAction.
+     */
+    async step(action) {
+        const playerIndex = this.getDecidingPlayerIndex();
+        const actionIndex = findLegalActionIndex(this.getLegalActions(), action);
+        if (actionIndex !== -1) {
+            action = this.getLegalActions()[actionIndex];
+        } else {
+            const error = validateAction(this.party, action);
+            if (error) throw new IllegalActionError(error, action);
+        }
+
+        this.pastDecisions.push({ party: this.party, playerIndex });
+        this.undone = [];
+        this.party = await applyAction(this.party, action, this.log, { trusted: true }); // Validated above
+        const { description, ...canonicalAction } = action;
+        this.party.history.push({ playerIndex, action: canonicalAction });
+        return this.party;
+    }
+
+    /**
+     * Goes back to the last decision of a player, taking back every action since then.
+     * @param {number} playerIndex - The index of the player asking for the undo.
+     * @returns {boolean} False if there is nothing to undo, or if it would undo a decision of the opponent
+     * or a hidden information reveal outside of practice mode.
+     */
+    undo(playerIndex) {
+        const index = this.pastDecisions.findLastIndex(decision => decision.playerIndex === playerIndex);
+        if (index === -1) {
+            if (this.log) this.log('> Nothing to undo.');
+            return false;
+        }
+        const target = this.pastDecisions[index].party;
+        if (!this.practiceMode) {
+            if (this.pastDecisions.slice(index).some(decision => decision.playerIndex !== playerIndex)) {
+                if (this.log) this.log('> Cannot undo past a decision of your opponent outside of practice mode.');
+                return false;
+            }
+            const revealsCards = target.random.state !== this.party.random.state
+                || target.players.some((player, i) => !haveSameCards(player.deck, this.party.players[i].deck))
+                || revealsHand(target, this.party, 1 - playerIndex);
+            if (revealsCards) {
+                if (this.log) this.log('> Cannot undo past a draw, a check, a shuffle or a revealed card outside of practice mode.');
+                return false;
+            }
+        }
+
+        this.undone.push({ decisions: this.pastDecisions.splice(index), party: this.party });
+        this.party = target;
+        if (this.log) this.log(`> Player ${playerIndex + 1} takes back their last decision.`);
+        return true;
+    }
+
+    /**
+     * Plays again the actions taken back by the last undo.
+     * @returns {boolean} False if there is nothing to redo.
+     */
+    redo() {
+        const undone = this.undone.pop();
+        if (!undone) {
+            if (this.log) this.log('> Nothing to redo.');
+            return false;
+        }
+
+        this.pastDecisions.push(...undone.decisions);
+        this.party = undone.party;
+        if (this.log) this.log('> Decision played again.');
+        return true;
+    }
+
+    /**
+     * Returns what a seat is given to take a decision.
+     * The full game state is shared; a controller must only rely on what this player is allowed to know.
+     * @param {number} playerIndex - The index of the player.
+     * @returns {{party: Party, playerIndex: number}}
+     */
+    getPlayerView(playerIndex) {
+        return { party: this.party, playerIndex };
+    }
+
+    /**
+     * Plays the game to its end, asking the controller of the deciding player for every decision.
+     * Besides the legal actions, a controller can return { type: 'UNDO' } or { type: 'REDO' }.
+     * @param {PlayerController[]} controllers - One controller per player.
+     * @returns {Promise<Party>} The final game state.
+     */
+    async playUntilGameOver(controllers) {
+        while (!this.isGameOver()) {
+            const actions = this.getLegalActions();
+            if (actions.length === 0) {
+                throw new Error(`GameEngine: no legal action in phase "${this.party.phase}".`);
+            }
+            const playerIndex = this.getDecidingPlayerIndex();
+            const action = await controllers[playerIndex].chooseAction(this.getPlayerView(playerIndex), actions);
+            if (action.type === 'UNDO') {
+                this.undo(playerIndex);
+            } else if (action.type === 'REDO') {
+                this.redo();
+            } else {
+                await this.step(action);
+            }
+        }
+        return this.party;
+    }
+}
+
+export default GameEngine;
@@ -0,0 +1,91 @@
+/**
+ * @file GameRecord.js
+ * Saves a played game as a JSON game record, and replays it.
+ * Everything random in a game comes from the seed of the Party, so a game is fully described by its seed,
+ * the two deck lists and the actions taken. An action is recorded in its canonical form (see ActionManager),
+ * with the player who took it, and is matched against the legal actions of its state when replayed, so that
+ * a change of the order of the legal actions does not break a record. A record that no longer matches
+ * the rules or the card database fails to replay.
+ *
+ * Record format (version 2):
+ * {
+ *   "version": 2,
+ *   "seed": 42,
+ *   "decks": [{ "rideDeck": ["D-SS01/001EN", ...], "mainDeck": [...] }, { ... }],
+ *   "actions": [{ "playerIndex": 0, "action": { "type": "MULLIGAN", "cardInstanceIds": [] } }, ...]
+ * }
+ * Version 1 records, which store the index of each action among the legal actions of its state
+ * ({ playerIndex, actionIndex, type }), can still be replayed.
+ */
+
+import GameEngine from './GameEngine.js';
+import { findLegalActionIndex, validateAction } from './ActionValidator.js';
+
+export const GAME_RECORD_VERSION = 2;
+
+/**
+ * Lists the card numbers of a deck, in deck order.
+ * It must be called before the deck is given to a Party, which shuffles the main deck in place.
+ * @param {{rideDeck: Card[], mainDeck: Card[]}} deck
+ * @returns {{rideDeck: string[], mainDeck: string[]}}
+ */
+export function getDeckList(deck) {
+    return {
+        rideDeck: deck.rideDeck.map(card => card.id),
+        mainDeck: deck.mainDeck.map(card => card.id),
+    };
+}
+
+/**
+ * Creates the record of a game played with GameEngine.
+ * @param {Party} party - The current state of the game.
+ * @param {{rideDeck: string[], mainDeck: string[]}[]} deckLists - The deck list of each player, see getDeckList.
+ * @returns {object} A JSON-serializable game record.
+ */
+export function createGameRecord(party, deckLists) {
+    return {
+        version: GAME_RECORD_VERSION,
+        seed: party.seed,
+        decks: deckLists,
+        actions: party.history.map(({ playerIndex, action }) => ({ playerIndex, action: { ...action } })),
+    };
+}
+
+/**
+ * @param {GameEngine} engine
+ * @param {object} recordedAction - An action of a version 2 record.
+ * @returns {object | undefined} The legal action it stands for, or the recorded action itself when it is legal
+ * with a copy of a card that the legal actions do not offer (see getPossibleActions). Undefined if it is not legal.
+ */
+function findRecordedAction(engine, recordedAction) {
+    const legalActions = engine.getLegalActions();
+    const index = findLegalActionIndex(legalActions, recordedAction);
+    if (index !== -1) return legalActions[index];
+    return validateAction(engine.party, recordedAction) === null ? recordedAction : undefined;
+}
+
+/**
+ * Replays a game record from its start.
+ * @param {object} record - A game record, see createGameRecord.
+ * @param {{rideDeck: Card[], mainDeck: Card[]}[]} decks - The decks of the record, built from its deck lists.
+ * @returns {Promise<{party: Party, action: object | null}[]>} Every state of the game, starting with the initial one,
+ * with the action that led to it.
+ */
+export async function replayGame(record, decks) {
+    if (record.version !== 1 && record.version !== GAME_RECORD_VERSION) {
+        throw new Error(`Unsupported game record version ${record.version} (expected ${GAME_RECORD_VERSION}).`);
+    }
+
+    const engine = GameEngine.fromDecks(decks[0], decks[1], { seed: record.seed });
+    const steps = [{ party: engine.party, action: null }];
+    for (const [index, entry] of record.actions.entries()) {
+        const legalActions = engine.getLegalActions();
+        const action = record.version === 1 ? legalActions[entry.actionIndex] : findRecordedAction(engine, entry.action);
+        const type = record.version === 1 ? entry.type : entry.action?.type;
+        if (!action || action.type !== type || engine.getDecidingPlayerIndex() !== entry.playerIndex) {
+            throw new Error(`Game record action ${index + 1} (${type} by player ${entry.playerIndex + 1}) does not match the game.`);
+        }
+        steps.push({ party: await engine.step(action), action });
+    }
+    return steps;
+}
@@ -2,25 +2,220 @@
 import { getPossibleActions } from './ActionManager.js';
 import { applyAction } from './ActionApplier.js';
 import Board from './Board.js';
+import Card from './Card.js';
+import { BASE_MAX_ENERGY, applyContinuousEffects } from './ContinuousEffects.js';
+import { resolveEffect } from './EffectInterpreter.js';
+import Random from './Random.js';
+
+// The phases of a turn, each of which emits ON_<PHASE>_PHASE_START and ON_<PHASE>_PHASE_END events.
+const TURN_PHASES = ['stand', 'draw', 'ride', 'main', 'battle', 'end'];
+
+// The version of the saved game format of Party.toJSON. Increase it when the format changes.
+export const PARTY_SCHEMA_VERSION = 1;
+
+const CIRCLE_NAMES = ['R1', 'V', 'R2', 'R3', 'R4', 'R5'];
+
+// The zones a scenario can fill besides the circles, see Party.fromScenario.
+const SCENARIO_ZONES = ['hand', 'deck', 'rideDeck', 'dropZone', 'damageZone', 'soul', 'gZone', 'bindZone', 'orderZone', 'crestZone', 'removedZone'];
+
+// The phases a scenario can start in: the ones where the turn player has to decide.
+const SCENARIO_PHASES = ['mulligan', 'ride', 'main', 'battle'];
+
+/**
+ * Turns a part of the game state into JSON data. A card can be referenced from several places (its zone,
+ * an event, the effect being resolved), so every card is stored once in `cards`, by instance ID,
+ * and replaced by { $card: uniqueId }. A board is stored as the unit of each circle, as { $board }.
+ * @param {any} value
+ * @param {object} cards - The card table being filled.
+ * @returns {any}
+ */
+function encodeState(value, cards) {
+  if (value instanceof Card) {
+    if (!(value.uniqueId in cards)) {
+      cards[value.uniqueId] = null; // Reserved first, in case the card data refers to the card itself
+      cards[value.uniqueId] = encodeState({ ...value }, cards);
+    }
+    return { $card: value.uniqueId };
+  }
+  if (value instanceof Board) {
+    return { $board: Object.fromEntries(CIRCLE_NAMES.map(name => [name, encodeState(value[name].unit, cards)])) };
+  }
+  if (Array.isArray(value)) return value.map(item => encodeState(item, cards));
+  if (value !== null && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeState(item, cards)]));
+  }
+  return value;
+}
+
+/**
+ * Turns JSON data from encodeState back into game objects.
+ * @param {any} value
+ * @param {Map<string, Card>} cards - The card instances, by instance ID.
+ * @returns {any}
+ */
+function decodeState(value, cards) {
+  if (Array.isArray(value)) return value.map(item => decodeState(item, cards));
+  if (value === null || typeof value !== 'object') return value;
+  if ('$card' in value) {
+    if (!cards.has(value.$card)) throw new Error(`Saved game: unknown card ${value.$card}.`);
+    return cards.get(value.$card);
+  }
+  if ('$board' in value) {
+    const board = new Board();
+    CIRCLE_NAMES.forEach(name => { board[name].unit = decodeState(value.$board[name], cards); });
+    return board;
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeState(item, cards)]));
+}
 
 /**
  * Manages the game flow, turns, and history between two players.
  */
 class Party {
-  constructor(deck1, deck2) {
+  /**
+   * @param {{rideDeck: Card[], mainDeck: Card[]}} deck1 - The deck of player 1.
+   * @param {{rideDeck: Card[], mainDeck: Card[]}} deck2 - The deck of player 2.
+   * @param {object} [options]
+   * @param {number} [options.seed] - Seeds every random event of the game (shuffles). Random if not given.
+   */
+  constructor(deck1, deck2, { seed = new Random().nextInt(2 ** 32) } = {}) {
+    this.seed = seed;
+    this.random = new Random(seed); // Its state is part of the game state, so a copy of the game replays the same way
     this.players = [
-      this._createPlayerState(deck1),
-      this._createPlayerState(deck2)
+      this._createPlayerState(deck1, 0),
+      this._createPlayerState(deck2, 1)
     ];
     this.turn = 0;
     this.currentPlayerIndex = 0; // 0 for player 1, 1 for player 2
+    this.firstPlayerIndex = 0; // The player who went first
     this.phase = 'setup'; // e.g., setup, mulligan, stand, draw, ride, main, battle, end
-    this.currentBattle = null; // To store info about the current battle
+    this.interruptedPhase = null; // The phase to go back to once effect resolution is over
+    this.currentBattle = null; // The battle in progress: { step, attackerCircle, attackerId, targetCircle, targetId, boosterCircle, boosterId }
     this.eventQueue = []; // To process game events and trigger effects
+    this.resolution = null; // The effect being resolved, see EffectInterpreter
+    this.pendingChoice = null; // The choice the resolution waits for: { playerIndex, prompt, options }
     this.history = []; // To store actions taken
   }
 
-  _createPlayerState(deckData) {
+  /**
+   * Saves the whole game state as JSON data, with everything needed to go on playing after fromJSON:
+   * the zones, the event queue and its pending effects, the effect being resolved, the pending choice,
+   * the history and the state of the random generator.
+   * Called by JSON.stringify.
+   * @returns {object}
+   */
+  toJSON() {
+    const cards = {};
+    const { random, ...fields } = this;
+    const state = encodeState(fields, cards);
+    return { version: PARTY_SCHEMA_VERSION, ...state, random: random.state, cards };
+  }
+
+  /**
+   * Restores a game saved with toJSON.
+   * @param {object} data - The saved game, as parsed JSON.
+   * @returns {Party}
+   */
+  static fromJSON(data) {
+    if (data?.version !== PARTY_SCHEMA_VERSION) {
+      throw new Error(`Unsupported saved game version ${data?.version} (expected ${PARTY_SCHEMA_VERSION}).`);
+    }
+
+    const { version, random, cards, ...state } = data;
+    // The card instances are created first, so that every reference to a card gets the same instance.
+    const instances = new Map(Object.keys(cards).map(uniqueId => [uniqueId, Object.create(Card.prototype)]));
+    for (const [uniqueId, card] of instances) {
+      Object.assign(card, decodeState(cards[uniqueId], instances));
+    }
+
+    const party = Object.assign(Object.create(Party.prototype), decodeState(state, instances));
+    party.random = new Random(random);
+    party.firstPlayerIndex ??= 0; // Saved before the first player was recorded, when player 1 always went first
+    return party;
+  }
+
+  /**
+   * Sets up a game in an exact position, e.g. to check a ruling. Cards are given by card number
+   * (`card_number_full`), either as a string or as { card, resting, faceUp, public }:
+   * {
+   *   "seed": 42,
+   *   "turn": 3,
+   *   "turnPlayer": 1,
+   *   "firstPlayer": 1,
+   *   "phase": "main",
+   *   "players": [{
+   *     "board": { "V": "DZ-SS08/001EN", "R1": { "card": "DZ-SS08/049EN", "resting": true } },
+   *     "hand": ["DZ-SS08/046EN", ...],
+   *     "deck": [...],
+   *     "damageZone": [{ "card": "DZ-SS08/049EN", "faceUp": false }, ...],
+   *     "energy": 3
+   *   }, { ... }]
+   * }
+   * The other zones are the ones of a player state (rideDeck, dropZone, soul, orderZone...), and are empty
+   * if not given. The deck is listed from its top card. The phase is one where the turn player decides:
+   * mulligan, ride, main or battle. The player who went first is the turn player on odd turns if not given.
+   * The decks are not shuffled. A player with an empty deck has lost,
+   * so each player needs a deck for the game to go on.
+   * @param {object} scenario - The scenario, as parsed JSON.
+   * @param {CardDatabase} cardDatabase
+   * @returns {Party}
+   */
+  static fromScenario(scenario, cardDatabase) {
+    const { seed, turn = 1, turnPlayer = 1, phase = 'main', players = [] } = scenario;
+    const { firstPlayer = turn % 2 === 1 ? turnPlayer : 3 - turnPlayer } = scenario;
+    if (!SCENARIO_PHASES.includes(phase)) {
+      throw new Error(`Scenario: phase "${phase}" is not one of ${SCENARIO_PHASES.join(', ')}.`);
+    }
+    if (turnPlayer !== 1 && turnPlayer !== 2) throw new Error(`Scenario: turnPlayer must be 1 or 2, not ${turnPlayer}.`);
+    if (firstPlayer !== 1 && firstPlayer !== 2) throw new Error(`Scenario: firstPlayer must be 1 or 2, not ${firstPlayer}.`);
+    if (players.length !== 2) throw new Error(`Scenario: expected 2 players, got ${players.length}.`);
+
+    const emptyDeck = () => ({ rideDeck: [], mainDeck: [] });
+    const party = new Party(emptyDeck(), emptyDeck(), { seed });
+    party.turn = turn;
+    party.currentPlayerIndex = turnPlayer - 1;
+    party.firstPlayerIndex = firstPlayer - 1;
+    party.phase = phase;
+
+    players.forEach((setup, playerIndex) => {
+      const player = party.players[playerIndex];
+      const unknownKey = Object.keys(setup).find(key => key !== 'board' && key !== 'energy' && !SCENARIO_ZONES.includes(key));
+      if (unknownKey) throw new Error(`Scenario: unknown zone ${unknownKey} (player ${playerIndex + 1}).`);
+      let cardCount = 0;
+      const createCard = (spec, where) => {
+        const { card: cardId, resting = false, faceUp = true, public: isPublic = false } = typeof spec === 'string' ? { card: spec } : spec;
+        const cardData = cardDatabase.get(cardId);
+        if (!cardData) throw new Error(`Scenario: unknown card ${cardId} (player ${playerIndex + 1}, ${where}).`);
+        const card = Card.fromData(cardId, cardData);
+        card.uniqueId = `P${playerIndex + 1}-${cardId}-${cardCount++}`;
+        card.isResting = resting;
+        card.isFaceUp = faceUp;
+        card.isPublic = isPublic;
+        return card;
+      };
+
+      for (const [circleName, spec] of Object.entries(setup.board ?? {})) {
+        if (!CIRCLE_NAMES.includes(circleName)) throw new Error(`Scenario: unknown circle ${circleName} (player ${playerIndex + 1}).`);
+        player.board[circleName].unit = createCard(spec, circleName);
+      }
+      if (!player.board.V.unit) throw new Error(`Scenario: player ${playerIndex + 1} has no vanguard.`);
+
+      for (const zone of SCENARIO_ZONES) {
+        player[zone] = (setup[zone] ?? []).map(spec => createCard(spec, zone));
+      }
+      player.deck.reverse(); // Cards are drawn from the end of the deck
+      player.energy = setup.energy ?? 0;
+    });
+
+    return applyContinuousEffects(party);
+  }
+
+  _createPlayerState(deckData, playerIndex) {
+    // Instance IDs are prefixed with the seat, so that both players can use the same deck.
+    [...deckData.rideDeck, ...deckData.mainDeck].forEach(card => {
+      card.uniqueId = `P${playerIndex + 1}-${card.uniqueId}`;
+    });
+
     const rideDeckCopy = [...deckData.rideDeck];
     const startingVanguard = rideDeckCopy.shift(); // Remove the G0 from the ride deck
 
@@ -38,21 +233,124 @@ class Party {
       triggerZone: [],
       crestZone: [],
       orderZone: [],
+      removedZone: [], // Cards removed from the game, e.g. resolved Blitz Orders that say "Remove this card"
       energy: 0,
-      maxEnergy: 3,
+      maxEnergy: BASE_MAX_ENERGY,
       continuousEffects: [],
       usedTurnlyEffects: [],
     };
   }
 
+  /**
+   * Finds a card instance in any zone of either player.
+   * @param {string} uniqueId - The unique ID of the card instance.
+   * @returns {{card: Card, playerIndex: number, zone: string} | null} The card and where it is, or null if not found.
+   */
+  findCardInstance(uniqueId) {
+    const zones = ['hand', 'deck', 'rideDeck', 'dropZone', 'damageZone', 'soul', 'gZone', 'bindZone', 'guardianZone', 'triggerZone', 'crestZone', 'orderZone', 'removedZone'];
+    for (let playerIndex = 0; playerIndex < this.players.length; playerIndex++) {
+      const player = this.players[playerIndex];
+      for (const circle of [...player.board.frontRow, ...player.board.backRow]) {
+        if (circle.unit?.uniqueId === uniqueId) return { card: circle.unit, playerIndex, zone: circle.name };
+      }
+      for (const zone of zones) {
+        const card = player[zone].find(c => c.uniqueId === uniqueId);
+        if (card) return { card, playerIndex, zone };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Adds an event to the queue, to be checked against AUTO abilities.
+   * The payload describes what happened: usually the `card`, its `from` and `to` zones (or circle names),
+   * `playerIndex` (the player whose card it is) and `causedBy` (the player whose action or effect caused it).
+   * Both default to the turn player. The turn and phase at the time of the event are recorded as well.
+   * @param {string} type - The event type, e.g. 'ON_CALL'.
+   * @param {object} [payload={}] - The event data.
+   */
+  emitEvent(type, payload = {}) {
+    this.eventQueue.push({
+      type,
+      turn: this.turn,
+      phase: this.phase === 'effect_resolution' ? this.interruptedPhase : this.phase,
+      playerIndex: this.currentPlayerIndex,
+      causedBy: this.currentPlayerIndex,
+      ...payload
+    });
+  }
+
+  /**
+   * Moves to another phase, emitting the end event of the current turn phase and the start event of the next one.
+   * Leaving the end phase also emits ON_TURN_END, and entering the stand phase emits ON_TURN_START.
+   * @param {string} nextPhase - The phase to move to.
+   */
+  changePhase(nextPhase) {
+    if (TURN_PHASES.includes(this.phase)) this.emitEvent(`ON_${this.phase.toUpperCase()}_PHASE_END`);
+    if (this.phase === 'end') this.emitEvent('ON_TURN_END');
+    this.phase = nextPhase;
+    if (nextPhase === 'stand') this.emitEvent('ON_TURN_START');
+    if (TURN_PHASES.includes(nextPhase)) this.emitEvent(`ON_${nextPhase.toUpperCase()}_PHASE_START`);
+  }
+
+  /**
+   * Returns the pending effects of the event being resolved that can be resolved right now.
+   * Following the rules, the turn player resolves all of their triggered abilities first, in the order
+   * of their choice, then the non-turn player does the same.
+   * @returns {object[]} The pending effects of a single player, or an empty list.
+   */
+  getResolvablePendingEffects() {
+    const pendingEffects = this.eventQueue[0]?.pendingEffects ?? [];
+    const turnPlayerEffects = pendingEffects.filter(p => p.ownerIndex === this.currentPlayerIndex);
+    return turnPlayerEffects.length > 0 ? turnPlayerEffects : pendingEffects;
+  }
+
+  /**
+   * @returns {number} The index of the player who has to make the next decision: the player asked to choose,
+   * the owner of the effects waiting to be resolved, the defender during the guard step, or the turn player otherwise.
+   */
+  getDecidingPlayerIndex() {
+    if (this.pendingChoice) return this.pendingChoice.playerIndex;
+    if (this.phase === 'effect_resolution') {
+      const [nextEffect] = this.getResolvablePendingEffects();
+      if (nextEffect) return nextEffect.ownerIndex;
+    }
+    if (this.phase === 'battle' && this.currentBattle?.step === 'guard') return 1 - this.currentPlayerIndex;
+    return this.currentPlayerIndex;
+  }
+
+  /**
+   * Returns the units taking part in the current battle. A unit that has left its circle since the
+   * start of the battle is no longer part of it and is returned as null.
+   * @returns {{attacker: Card | null, booster: Card | null, target: Card | null}}
+   */
+  getBattleUnits() {
+    const { attackerCircle, attackerId, targetCircle, targetId, boosterCircle, boosterId } = this.currentBattle;
+    const attackingBoard = this.players[this.currentPlayerIndex].board;
+    const defendingBoard = this.players[1 - this.currentPlayerIndex].board;
+    const unitIfStillThere = (board, circleName, id) => {
+      const unit = circleName ? board.getCircle(circleName)?.unit : null;
+      return unit?.uniqueId === id ? unit : null;
+    };
+
+    return {
+      attacker: unitIfStillThere(attackingBoard, attackerCircle, attackerId),
+      booster: unitIfStillThere(attackingBoard, boosterCircle, boosterId),
+      target: unitIfStillThere(defendingBoard, targetCircle, targetId),
+    };
+  }
+
+  /**
+   * @returns {number} The power of the attacking unit in the current battle, including the power of its booster.
+   */
+  getAttackingPower() {
+    const { attacker, booster } = this.getBattleUnits();
+    return (attacker?.currentPower ?? 0) + (booster?.currentPower ?? 0);
+  }
+
   /** Shuffles the deck of the specified player. */
   shuffleDeck(playerIndex) {
-    const player = this.players[playerIndex];
-    // Fisher-Yates shuffle algorithm
-    for (let i = player.deck.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [player.deck[i], player.deck[j]] = [player.deck[j], player.deck[i]];
-    }
+    this.random.shuffle(this.players[playerIndex].deck);
   }
 
   /** Draws cards for the specified player. */
@@ -64,133 +362,55 @@ class Party {
             const card = player.deck.pop();
             player.hand.push(card);
             drawnCards.push(card);
-        } else {
-            if (this.turn > 0) console.warn(`Player ${playerIndex + 1} tried to draw but their deck is empty.`);
+            this.emitEvent('ON_DRAW', { playerIndex, card, from: 'deck', to: 'hand' });
         }
+        // Drawing from an empty deck does nothing: the player has already lost, see getGameResult.
     }
     return drawnCards;
   }
 
   /**
    * Performs a damage check for the specified player.
+   * The checks are resolved like an effect, so the trigger choices are asked through `pendingChoice`.
    * @param {number} playerIndex - The index of the player taking damage.
    * @param {number} amount - The amount of damage to take.
+   * @returns {Promise<boolean>} True if the checks are over, false if they wait for a choice.
    */
-  async damageCheck(playerIndex, amount = 1, rl) {
-    const player = this.players[playerIndex];
-    const opponent = this.players[1 - playerIndex];
-    if (rl) console.log(`> Player ${playerIndex + 1} performs ${amount} damage check(s).`);
-
-    for (let i = 0; i < amount; i++) {
-      if (player.deck.length > 0) {
-        const checkedCard = player.deck.pop();
-        if (rl) console.log(`>> Damage Check ${i + 1}: [G${checkedCard.grade}] ${checkedCard.name}`);
-        
-        if (checkedCard.trigger) {
-          if (rl) console.log(`>>> ${checkedCard.trigger} Trigger Activated!`);
-          await this.applyTriggerEffect(checkedCard.trigger, playerIndex, rl);
-        }
-
-        player.damageZone.push(checkedCard);
-      }
-    }
-  }
-
-  /**
-   * Helper function to apply trigger effects.
-   * @param {string} triggerType - The type of trigger ('Critical', 'Draw', 'Front', 'Heal').
-   * @param {number} playerIndex - The index of the player whose trigger activated.
-   * @param {readline.Interface} rl - The readline interface for user input.
-   */
-  async applyTriggerEffect(triggerType, playerIndex, rl) {
-    const player = this.players[playerIndex];
-    const opponent = this.players[1 - playerIndex];
-    const boardUnits = [...player.board.frontRow, ...player.board.backRow].filter(c => c.unit).map(c => c.unit);
-
-    if (triggerType === 'Front') {
-      if (rl) console.log('>>> All front row units get +10000 Power!');
-      player.board.frontRow.forEach(c => {
-        if (c.unit) c.unit.bonusPower += 10000;
-      });
-      return; // Front trigger does not give a choice.
-    }
-
-    if (rl) {
-        // For Critical, Draw, and Heal, the player chooses a unit to get +10000 Power.
-        console.log('>>> Choose a unit to get +10000 Power:');
-        boardUnits.forEach((unit, i) => console.log(`  ${i}: [G${unit.grade}] ${unit.name} (on ${unit.circleName})`));
-        const powerChoiceAnswer = await rl.question('Enter number for power boost: ');
-        const powerChoiceIndex = parseInt(powerChoiceAnswer, 10);
-        if (boardUnits[powerChoiceIndex]) {
-            boardUnits[powerChoiceIndex].bonusPower += 10000;
-            console.log(`>>> ${boardUnits[powerChoiceIndex].name} gets +10000 Power!`);
-        }
-    }
-
-    switch (triggerType) {
-      case 'Critical': {
-        if (rl) {
-            console.log('>>> Choose a unit to get +1 Critical:');
-            boardUnits.forEach((unit, i) => console.log(`  ${i}: [G${unit.grade}] ${unit.name} (on ${unit.circleName})`));
-            const critChoiceAnswer = await rl.question('Enter number for critical boost: ');
-            const critChoiceIndex = parseInt(critChoiceAnswer, 10);
-            if (boardUnits[critChoiceIndex]) {
-                boardUnits[critChoiceIndex].bonusCritical += 1;
-                console.log(`>>> ${boardUnits[critChoiceIndex].name} gets +1 Critical!`);
-            }
-        }
-        break;
-      }
-      case 'Draw':
-        if (rl) console.log('>>> You draw a card.');
-        const [drawnCard] = this.draw(playerIndex, 1);
-        // A card drawn from a trigger effect is public knowledge.
-        if (drawnCard) drawnCard.isPublic = true;
-        break;
-      case 'Heal':
-        if (rl && player.damageZone.length >= opponent.damageZone.length && player.damageZone.length > 0) {
-          console.log('>>> You may heal 1 damage.');
-          // For simplicity, we'll auto-heal the last damage taken. A real implementation would offer a choice.
-          const healedCard = player.damageZone.pop();
-          player.dropZone.push(healedCard);
-          console.log(`>>> Healed 1 damage. [G${healedCard.grade}] ${healedCard.name} moved to drop zone.`);
-        } else {
-          if (rl) console.log('>>> Heal condition not met (your damage must be >= opponent\'s damage).');
-        }
-        break;
-    }
+  async damageCheck(playerIndex, amount = 1, log) {
+    if (log) log(`> Player ${playerIndex + 1} performs ${amount} damage check(s).`);
+    return await this._performChecks('damage', playerIndex, amount, log);
   }
 
   /**
    * Performs a drive check for the current player.
    * @param {number} amount - The number of drive checks to perform.
+   * @returns {Promise<boolean>} True if the checks are over, false if they wait for a choice.
    */
-  async driveCheck(amount = 1, rl) {
+  async driveCheck(amount = 1, log) {
     const playerIndex = this.currentPlayerIndex;
-    const player = this.players[playerIndex];
-    if (rl) console.log(`> Player ${playerIndex + 1} performs ${amount} drive check(s).`);
+    if (log) log(`> Player ${playerIndex + 1} performs ${amount} drive check(s).`);
+    return await this._performChecks('drive', playerIndex, amount, log);
+  }
 
+  /**
+   * Each check reveals the top card of the deck, applies its trigger, then puts the card where it belongs.
+   * @param {string} checkType - 'drive' or 'damage'.
+   * @param {number} playerIndex - The index of the checking player.
+   * @param {number} amount - The number of checks.
+   */
+  async _performChecks(checkType, playerIndex, amount, log) {
+    const steps = [];
     for (let i = 0; i < amount; i++) {
-      if (player.deck.length > 0) {
-        const checkedCard = player.deck.pop();
-        if (rl) console.log(`>> Drive Check ${i + 1}: [G${checkedCard.grade}] ${checkedCard.name}`);
-        
-        if (checkedCard.trigger) {
-          if (rl) console.log(`>>> ${checkedCard.trigger} Trigger Activated!`);
-          await this.applyTriggerEffect(checkedCard.trigger, playerIndex, rl);
-        }
-
-        checkedCard.isPublic = true;
-        player.hand.push(checkedCard);
-        if (rl) console.log(`>> Card added to hand.`);
-      }
+      steps.push({ do: 'revealCheck', checkType }, { do: 'resolveCheck', checkType });
     }
+    return await resolveEffect(this, { steps }, { playerIndex, source: null }, log);
   }
 
   startGame() {
     console.log("\n--- Starting Game ---");
     this.turn = 1;
     this.currentPlayerIndex = 0;
+    this.firstPlayerIndex = 0; // Player 1 goes first
     this.phase = 'mulligan';
 
     this.shuffleDeck(0);
@@ -222,7 +442,7 @@ class Party {
         }
         return '<hidden>';
     }).join(', ')}]`;
-    const p2Info = `Player ${p2Index + 1} : ${p2Hand}, drop: ${player2.dropZone.length}, soul: ${player2.soul.length}, deck: ${player2.deck.length}, ride: ${player2.rideDeck.length}, damage: ${player2.damageZone.length}${p2Crests}${p2Energy}`;
+    const p2Info = `Player ${p2Index + 1} : ${p2Hand}, drop: ${player2.dropZone.length}, soul: ${player2.soul.length}, deck: ${player2.deck.length}, ride: ${player2.rideDeck.length}, damage: ${player2.damageZone.length} (${player2.damageZone.filter(c => c.isFaceUp).length} face-up)${p2Crests}${p2Energy}`;
     console.log(separator);
     console.log(p2Info);
     console.log(separator);
@@ -239,7 +459,7 @@ class Party {
     const p1Crests = player1.crestZone.length > 0 ? `, crests: [${player1.crestZone.map(c => c.name).join(', ')}]` : '';
     const p1Energy = `, energy: ${player1.energy}`;
     const p1Hand = `hand: [${player1.hand.map(c => `[G${c.grade}] ${c.name}`).join(', ')}]`;
-    const p1Info = `Player ${p1Index + 1} : ${p1Hand}, drop: ${player1.dropZone.length}, soul: ${player1.soul.length}, deck: ${player1.deck.length}, ride: ${player1.rideDeck.length}, damage: ${player1.damageZone.length}${p1Crests}${p1Energy}`;
+    const p1Info = `Player ${p1Index + 1} : ${p1Hand}, drop: ${player1.dropZone.length}, soul: ${player1.soul.length}, deck: ${player1.deck.length}, ride: ${player1.rideDeck.length}, damage: ${player1.damageZone.length} (${player1.damageZone.filter(c => c.isFaceUp).length} face-up)${p1Crests}${p1Energy}`;
     console.log(separator);
     console.log(p1Info);
     console.log(separator);
@@ -251,8 +471,8 @@ class Party {
 
   nextTurn() {
     this.turn++;
-    // Reset once-per-turn effects for both players at the start of a new turn cycle (Player 1's turn)
-    if (this.currentPlayerIndex === 1) {
+    // Reset once-per-turn effects for both players at the start of a new turn cycle (the first player's turn)
+    if (this.currentPlayerIndex !== this.firstPlayerIndex) {
         this.players.forEach(p => p.usedTurnlyEffects = []);
     }
   }
@@ -261,10 +481,35 @@ class Party {
     this.currentPlayerIndex = 1 - this.currentPlayerIndex;
   }
 
+  /**
+   * Checks the losing conditions: a player with 6 or more damage, or with no cards left in their deck, loses.
+   * @returns {{winnerIndex: number, loserIndex: number, reason: string} | null} Who won and why, e.g.
+   * "Player 2 has 6 damage." or "Player 1 has no cards left in their deck.". Null while the game goes on.
+   */
+  getGameResult() {
+    if (this.phase === 'setup') return null; // The decks are only drawn from once the game has started
+    const lossReasons = [
+      [player => player.damageZone.length >= 6, player => `has ${player.damageZone.length} damage`],
+      [player => player.deck.length === 0, () => 'has no cards left in their deck'],
+    ];
+    for (const [hasLost, describe] of lossReasons) {
+      const loserIndex = this.players.findIndex(hasLost);
+      if (loserIndex !== -1) {
+        return { winnerIndex: 1 - loserIndex, loserIndex, reason: `Player ${loserIndex + 1} ${describe(this.players[loserIndex])}.` };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * @returns {number | null} The index of the winner, see getGameResult. Null while nobody has lost.
+   */
+  getWinnerIndex() {
+    return this.getGameResult()?.winnerIndex ?? null;
+  }
+
   isGameOver() {
-    // Game over conditions: a player has 6 or more damage, or decks out.
-    // Or a turn limit for the simulation.
-    return this.turn > 6 || this.players.some(p => p.damageZone.length >= 6);
+    return this.getGameResult() !== null;
   }
 }
 
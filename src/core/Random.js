@@ -0,0 +1,56 @@
+/**
+ * @file Random.js
+ * A small seedable pseudo-random number generator (mulberry32).
+ * Its whole state is a single 32-bit integer, so it is cloned with the game state and can be saved with it.
+ */
+
+class Random {
+    /**
+     * @param {number} [seed] - Any integer. Without a seed, the generator is seeded from Math.random.
+     */
+    constructor(seed = Math.floor(Math.random() * 2 ** 32)) {
+        this.state = seed >>> 0;
+    }
+
+    /**
+     * @returns {number} A number in [0, 1).
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * @param {number} max
+     * @returns {number} An integer in [0, max).
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * @param {any[]} items - A non-empty list.
+     * @returns {any} One of the items.
+     */
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    /**
+     * Shuffles a list in place (Fisher-Yates).
+     * @param {any[]} items
+     * @returns {any[]} The same list.
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
+
+export default Random;
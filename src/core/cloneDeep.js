@@ -8,6 +8,8 @@
  */
 export default function cloneDeep(obj, hash = new WeakMap()) {
     if (obj === null || typeof obj !== 'object') return obj;
+    // Frozen objects cannot change, so they are shared instead of copied (e.g. the effects of the card database).
+    if (Object.isFrozen(obj)) return obj;
     if (hash.has(obj)) return hash.get(obj);
 
     // Handle Date and RegExp objects
@@ -24,10 +26,8 @@ export default function cloneDeep(obj, hash = new WeakMap()) {
 
     hash.set(obj, clone);
 
-    for (const key in obj) {
-        if (Object.prototype.hasOwnProperty.call(obj, key)) {
-            clone[key] = cloneDeep(obj[key], hash);
-        }
+    for (const key of Object.keys(obj)) {
+        clone[key] = cloneDeep(obj[key], hash);
     }
 
     return clone;
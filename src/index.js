@@ -1,494 +1,538 @@
 import fs from 'fs';
 import path from 'path';
 import * as readline from 'node:readline/promises';
+import { fileURLToPath } from 'url';
+import CardDatabase, { getEngineSupport } from './core/CardDatabase.js';
+import GameEngine from './core/GameEngine.js';
 import Party from './core/Party.js';
-import Card from './core/Card.js';
-import { getPossibleActions } from './core/ActionManager.js';
-import { applyAction, applyCloseStep } from './core/ActionApplier.js';
-import { effects as effectLibrary } from './core/EffectLibrary.js';
 import { evaluateCondition } from './core/ConditionEvaluator.js';
+import { validateDeck } from './core/DeckValidator.js';
+import { DECK_FORMATS, getDeckFormatName, readDeck, writeDeck, buildDeck } from './core/DeckIO.js';
+import { analyzeDeck } from './core/DeckStats.js';
 import cloneDeep from './core/cloneDeep.js';
+import { getDeckList, createGameRecord, replayGame } from './core/GameRecord.js';
+import HumanController, { formatAction } from './controllers/HumanController.js';
+import RandomController from './controllers/RandomController.js';
+import MCTSController from './controllers/MCTSController.js';
+import Random from './core/Random.js';
+import ScriptedController from './controllers/ScriptedController.js';
 
-/**
- * Helper to get user choice with AI evaluation.
- */
-async function getPlayerChoice(party, rl, actions, actionFormatter) {
-    console.log('\n--- Choose an action ---');
-
-    // Display actions
-    actions.forEach((action, index) => {
-        console.log(`Option ${index}: ${actionFormatter(action, index)}`);
-    });
+const CONTROLLER_TYPES = ['human', 'random', 'mcts[:<iterations>]', 'scripted:<file.json>'];
 
-    const answer = await rl.question(`\nPlayer ${party.currentPlayerIndex + 1}, choose your action: `);
-    const choice = parseInt(answer, 10);
+// The card set of the simulator, found from this file so that it does not depend on the working directory.
+const DEFAULT_CARD_SET = fileURLToPath(new URL('../vg_deck_cards.json', import.meta.url));
 
-    if (choice >= 0 && choice < actions.length) {
-        return choice;
-    }
-    return -1; // Invalid choice
-}
 /**
- * Helper function to parse strings like "Power 10000" or "Shield 5000".
- * @param {string | null | undefined} valueString - The string to parse.
- * @returns {number | null}
+ * Takes the card database options out of the command line, as they apply to every command:
+ * "--cards <set.json>" (repeatable) replaces the default set file, "--card-overrides <dir>" adds an override directory.
+ * @param {string[]} args - The command line arguments, without node and the script path.
+ * @returns {{args: string[], setPaths: string[], overrideDir: string | undefined}} The other arguments, and the options.
  */
-function parseValue(valueString) {
-    if (!valueString) return null;
-    const match = valueString.match(/-?\d+/);
-    return match ? parseInt(match[0], 10) : null;
+function extractCardDatabaseOptions(args) {
+    const otherArgs = [];
+    const setPaths = [];
+    let overrideDir;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--cards') {
+            if (!args[i + 1]) throw new Error('--cards expects a file path.');
+            setPaths.push(args[++i]);
+        } else if (args[i] === '--card-overrides') {
+            overrideDir = args[++i];
+            if (!overrideDir) throw new Error('--card-overrides expects a directory.');
+        } else {
+            otherArgs.push(args[i]);
+        }
+    }
+    return { args: otherArgs, setPaths: setPaths.length > 0 ? setPaths : [DEFAULT_CARD_SET], overrideDir };
 }
 
 /**
- * Parses a deck file in markdown format and returns the ride and main decks.
- * It uses a card database to enrich the card objects with full details.
- * @param {string} deckContent - The content of the deck file.
- * @param {object[]} cardDatabase - The array of card objects from the JSON database.
- * @returns {{rideDeck: Card[], mainDeck: Card[]}}
+ * Parses the command line: two deck paths, the controller of each seat, the seed of the game,
+ * the file the game record is written to, the practice mode, the scenario to start from and the format of the deck files.
+ * @param {string[]} args - The command line arguments, without node and the script path.
+ * @returns {{deckPaths: string[], controllerTypes: string[], seed: number | undefined, recordPath: string | undefined, practiceMode: boolean, scenarioPath: string | undefined, deckFormat: string | undefined}}
  */
-function parseDeck(deckContent, cardDatabase) {
-    const rideDeck = [];
-    const mainDeck = [];
-    const dbMap = new Map(cardDatabase.map(c => [c.card_number_full, c]));
-
-    let currentDeck = null;
-
-    const lines = deckContent.split(/\r?\n/);
-
-    for (const line of lines) {
-        if (line.startsWith('# Ride')) {
-            currentDeck = rideDeck;
-            continue;
-        } else if (line.startsWith('# Main')) {
-            currentDeck = mainDeck;
-            continue;
-        }
-
-        if (currentDeck && line.trim() !== '') {
-            const parts = line.split('\t').map(p => p.trim());
-            if (parts.length >= 3) {
-                const quantity = parseInt(parts[0].replace('x', ''), 10);
-                const name = parts[1];
-                const cardId = parts[parts.length - 1];
-
-                const cardData = dbMap.get(cardId);
-                if (!cardData) {
-                    console.warn(`Card with ID ${cardId} not found in database. Creating a basic card.`);
-                }
-
-                let drive = 1;
-                if (cardData?.skill) {
-                    if (cardData.skill.includes('Twin Drive')) {
-                        drive = 2;
-                    } else if (cardData.skill.includes('Triple Drive')) {
-                        drive = 3;
-                    }
-                    // Add more for Quadra, Quinta if needed
-                }
-
-                for (let i = 0; i < quantity; i++) {
-                    const fullCardData = cardData ? {
-                        uniqueId: `${cardId}-${i}-${Math.random()}`, // Unique ID for this specific instance
-                        id: cardId,
-                        name: cardData.name_face,
-                        grade: parseValue(cardData.grade),
-                        power: parseValue(cardData.power),
-                        critical: parseValue(cardData.critical) ?? 1,
-                        shield: parseValue(cardData.shield) ?? 0,
-                        skills: cardData.skill ? cardData.skill.split(', ').filter(s => s !== '-') : [],
-                        effects: cardData.effect ? [cardData.effect] : [], // Storing raw effect string for now
-                        effectsData: { implemented_effects: cardData.implemented_effects ?? [] },
-                        trigger: cardData.gift?.split(' ')[0] ?? null, // e.g., "Heal" from "Heal Trigger +10000"
-                        nation: cardData.nation ?? null,
-                        race: cardData.race ?? null,
-                    } : { name, id: cardId };
-
-                    // Cards with type 'Crest' are not units and should not be in decks.
-                    if (cardData?.type === 'Crest') {
-                        if (currentDeck === rideDeck) rideDeck.push(new Card(fullCardData, 0));
-                        continue; // Do not add Crests to main deck or process them further as units
-                    }
-
-                    currentDeck.push(new Card(fullCardData, drive));
-                }
-            }
+function parseArgs(args) {
+    const deckPaths = [];
+    const controllerTypes = ['human', 'human'];
+    let seed;
+    let recordPath;
+    let practiceMode = false;
+    let scenarioPath;
+    let deckFormat;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--p1' || args[i] === '--p2') {
+            controllerTypes[args[i] === '--p1' ? 0 : 1] = args[++i];
+        } else if (args[i] === '--seed') {
+            seed = parseInt(args[++i], 10);
+            if (Number.isNaN(seed)) throw new Error('--seed expects an integer.');
+        } else if (args[i] === '--record') {
+            recordPath = args[++i];
+            if (!recordPath) throw new Error('--record expects a file path.');
+        } else if (args[i] === '--practice') {
+            practiceMode = true;
+        } else if (args[i] === '--scenario') {
+            scenarioPath = args[++i];
+            if (!scenarioPath) throw new Error('--scenario expects a file path.');
+        } else if (args[i] === '--deck-format') {
+            deckFormat = args[++i];
+            getDeckFormatName('', deckFormat); // Throws if the format is unknown
+        } else {
+            deckPaths.push(args[i]);
         }
     }
-
-    // Sort the ride deck by grade, ascending, to ensure G0 is first.
-    rideDeck.sort((a, b) => (a.grade ?? 99) - (b.grade ?? 99));
-
-    return { rideDeck, mainDeck };
+    return { deckPaths, controllerTypes, seed, recordPath, practiceMode, scenarioPath, deckFormat };
 }
 
 /**
- * Handles the mulligan phase for a given player.
- * @param {Party} currentPartyState - The current state of the game.
- * @param {readline.Interface} rl - The readline interface for user input.
- * @returns {Promise<Party>} The new game state after the mulligan.
+ * Creates the controller of a seat from its command line name.
+ * @param {string} type - "human", "random", "mcts" or "mcts:<iterations>" (100 iterations by default),
+ * or "scripted:<file.json>" (a JSON list of decisions, see ScriptedController).
+ * @param {function(): readline.Interface} getReadline - Creates the readline interface on first use.
+ * @param {number} seed - Seeds the choices of the bots.
+ * @param {function(string, Party)} saveGame - Lets a human save the game.
+ * @returns {PlayerController}
  */
-async function handleMulliganPhase(currentPartyState, rl) {
-    const playerIndex = currentPartyState.currentPlayerIndex;
-    console.log(`\n==== TURN ${currentPartyState.turn} - PLAYER ${playerIndex + 1} - MULLIGAN PHASE ====`);
-    currentPartyState.printState(playerIndex);
-
-    const mulliganActions = getPossibleActions(currentPartyState);
-    const playerHand = currentPartyState.players[playerIndex].hand;
-
-    const choice = await getPlayerChoice(currentPartyState, rl, mulliganActions, (action, index) => {
-        const cardsToRedrawNames = action.cardIndicesToRedraw.map(i => playerHand[i]?.name || 'Unknown Card');
-        return `Redraw [${cardsToRedrawNames.join(', ') || 'None'}]`;
-    });
-
-    const chosenAction = mulliganActions[choice];
-    console.log(`Player ${playerIndex + 1} chose to mulligan ${chosenAction.cardIndicesToRedraw.length} card(s).`);
-    
-    const newParty = await applyAction(currentPartyState, chosenAction, rl);
-
-    return newParty;
+function createController(type, getReadline, seed, saveGame) {
+    if (type === 'human') return new HumanController(getReadline(), { saveGame });
+    if (type === 'random') return new RandomController({ seed });
+    if (type === 'mcts' || type?.startsWith('mcts:')) {
+        const iterations = type === 'mcts' ? undefined : parseInt(type.slice('mcts:'.length), 10);
+        return new MCTSController({ iterations, seed });
+    }
+    if (type?.startsWith('scripted:')) {
+        const script = JSON.parse(fs.readFileSync(type.slice('scripted:'.length), 'utf-8'));
+        return new ScriptedController(script);
+    }
+    throw new Error(`Unknown controller "${type}". Expected one of: ${CONTROLLER_TYPES.join(', ')}.`);
 }
 
 /**
- * Handles the Stand Phase for the current player (automatic).
- * @param {Party} currentPartyState - The current state of the game.
- * @returns {Party} The new game state.
+ * Saves a game state to a file, to be resumed with the load command.
+ * @param {string} filePath
+ * @param {Party} party
  */
-function handleStandPhase(currentPartyState) {
-    const playerIndex = currentPartyState.currentPlayerIndex;
-    console.log(`\n==== TURN ${currentPartyState.turn} - PLAYER ${playerIndex + 1} - STAND PHASE ====`);
-    
-    const activePlayer = currentPartyState.players[playerIndex];
-    
-    // Stand all rested units
-    const standUnit = (circle) => {
-        if (circle.unit) {
-            circle.unit.isResting = false;
-        }
-    };
-    activePlayer.board.frontRow.forEach(standUnit);
-    activePlayer.board.backRow.forEach(standUnit);
-    console.log(`All units for Player ${playerIndex + 1} are standing.`);
-
-    currentPartyState.phase = 'draw';
-    return currentPartyState;
+function saveGame(filePath, party) {
+    fs.writeFileSync(filePath, JSON.stringify(party));
 }
 
 /**
- * Handles the Draw Phase for the current player (automatic).
- * @param {Party} currentPartyState - The current state of the game.
- * @returns {Party} The new game state.
+ * Reads a deck file, in the format given by its extension unless another one is given (see DeckIO).
+ * @param {string} deckPath
+ * @param {CardDatabase} cardDatabase
+ * @param {string} [deckFormat] - The name of the format of the file.
+ * @returns {{rideDeck: Card[], mainDeck: Card[]}} The deck, see readDeck.
  */
-function handleDrawPhase(currentPartyState) {
-    const playerIndex = currentPartyState.currentPlayerIndex;
-    console.log(`\n==== TURN ${currentPartyState.turn} - PLAYER ${playerIndex + 1} - DRAW PHASE ====`);
-    
-    currentPartyState.draw(playerIndex, 1);
-    console.log(`Player ${playerIndex + 1} draws a card.`);
-
-    currentPartyState.phase = 'ride';
-    return currentPartyState;
+function loadDeck(deckPath, cardDatabase, deckFormat) {
+    return readDeck(fs.readFileSync(deckPath, 'utf-8'), cardDatabase, getDeckFormatName(deckPath, deckFormat));
 }
 
 /**
- * Handles the interactive Ride Phase for the current player.
- * @param {Party} currentPartyState - The current state of the game.
- * @param {readline.Interface} rl - The readline interface for user input.
- * @returns {Promise<Party>} The new game state after the ride.
+ * @param {string} deckPath
+ * @param {{line: number | null, message: string}[]} errors - The errors of validateDeck.
+ * @returns {string} One error per line, as "<deck path>:<line>: <message>".
  */
-async function handleRidePhase(currentPartyState, rl) {
-    const playerIndex = currentPartyState.currentPlayerIndex;
-    console.log(`\n==== TURN ${currentPartyState.turn} - PLAYER ${playerIndex + 1} - RIDE PHASE ====`);
-
-    // Trigger and immediately process ON_RIDE_PHASE_START event
-    let party = currentPartyState;
-    party.eventQueue.push({ type: 'ON_RIDE_PHASE_START' });
-    party = await applyAction(party, { type: 'PROCESS_EVENTS' }, rl); // A dummy action to trigger event processing
-
-    party.printState(playerIndex);
-
-    const rideActions = getPossibleActions(party);
-
-    const choice = await getPlayerChoice(party, rl, rideActions, (action, index) => {
-        if (action.type === 'RIDE') {
-            if (action.source === 'rideDeck') {
-                const cardToDiscard = party.players[playerIndex].hand.find(c => c.id === action.discardCardId);
-                if (cardToDiscard) {
-                    return `Ride ${action.cardName} from ${action.source} (discard [G${cardToDiscard.grade}] ${cardToDiscard.name})`;
-                } else {
-                    return `Ride ${action.cardName} from ${action.source} (ERROR: discard card not found)`;
-                }
-            } else {
-                return `Ride ${action.cardName} from ${action.source}`;
-            }
-        } else if (action.type === 'PASS_RIDE_PHASE') {
-            return `Pass Ride Phase`;
-        }
-    });
-
-    const chosenAction = rideActions[choice];
-    const newParty = await applyAction(party, chosenAction, rl);
-
-    return newParty;
+function formatDeckErrors(deckPath, errors) {
+    return errors.map(({ line, message }) => `${deckPath}${line ? `:${line}` : ''}: ${message}`).join('\n');
 }
 
 /**
- * Handles the interactive Main Phase for the current player.
- * This phase is a loop where the player can perform multiple actions.
- * @param {Party} currentPartyState - The current state of the game.
- * @param {readline.Interface} rl - The readline interface for user input.
- * @returns {Promise<Party>} The new game state after the main phase.
+ * Checks the deck construction rules on deck files, see DeckValidator.
+ * @param {string[]} args - The deck paths, and optionally "--regulation <Standard|Premium>" (Standard by default)
+ * and "--deck-format <format>".
+ * @param {CardDatabase} cardDatabase
+ * @returns {boolean} True if every deck is valid.
  */
-async function handleMainPhase(currentPartyState, rl) {
-    let party = currentPartyState;
-    const playerIndex = party.currentPlayerIndex;
-
-    while (party.phase === 'main') {
-        console.log(`\n==== TURN ${party.turn} - PLAYER ${playerIndex + 1} - MAIN PHASE ====`);
-        party.printState(playerIndex);
-
-        const mainActions = getPossibleActions(party);
-
-        const choice = await getPlayerChoice(party, rl, mainActions, (action, index) => {
-            if (action.type === 'CALL') {
-                return `Call ${action.cardName} to ${action.circleTag}`;
-            } else if (action.type === 'MOVE') {
-                return action.description;
-            } else if (action.type === 'ACT') {
-                return action.description;
-            } else if (action.type === 'PASS_MAIN_PHASE') {
-                return `End Main Phase`;
-            }
-        });
-
-        const chosenAction = mainActions[choice];
-        party = await applyAction(party, chosenAction, rl);
+function validateDecks(args, cardDatabase) {
+    const deckPaths = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--regulation' && args[i - 1] !== '--deck-format');
+    const regulation = args.includes('--regulation') ? args[args.indexOf('--regulation') + 1] : 'Standard';
+    const deckFormat = args.includes('--deck-format') ? args[args.indexOf('--deck-format') + 1] : undefined;
+    if (deckPaths.length === 0) {
+        console.error('Usage: node src/index.js validate-deck <path/to/deck.md>... [--regulation <Standard|Premium>] [--deck-format <format>]');
+        process.exit(1);
     }
 
-    return party;
+    let allValid = true;
+    for (const deckPath of deckPaths) {
+        const errors = validateDeck(loadDeck(deckPath, cardDatabase, deckFormat), { regulation });
+        if (errors.length === 0) {
+            console.log(`${deckPath}: valid ${regulation} deck.`);
+        } else {
+            console.log(formatDeckErrors(deckPath, errors));
+            allValid = false;
+        }
+    }
+    return allValid;
 }
 
 /**
- * Handles the interactive Guard Step for the defending player.
- * @param {Party} currentPartyState - The current state of the game.
- * @param {readline.Interface} rl - The readline interface for user input.
- * @returns {Promise<Party>} The new game state after the guard step.
+ * Converts a deck file to another format.
+ * @param {string[]} args - The input path and optionally the output path (standard output if not given),
+ * "--deck-format <format>" for the input format and "--to <format>" for the output format.
+ * Each format is given by the file extension if not given.
+ * @param {CardDatabase} cardDatabase
  */
-async function handleGuardStep(currentPartyState, rl) {
-    let party = currentPartyState;
-    const defendingPlayerIndex = 1 - party.currentPlayerIndex;
-
-    while (party.phase === 'guard') {
-        console.log(`\n--- GUARD STEP: Player ${defendingPlayerIndex + 1} is defending ---`);
-        party.printState(defendingPlayerIndex); // Show from defender's POV
-
-        const guardActions = getPossibleActions(party);
-
-        const choice = await getPlayerChoice(party, rl, guardActions, (action, index) => {
-            if (action.type === 'GUARD') {
-                return `Guard with ${action.cardName} (Shield: ${action.shield})`;
-            } else if (action.type === 'INTERCEPT') {
-                return `Intercept with ${action.cardName} (Shield: ${action.shield})`;
-            } else if (action.type === 'PASS_GUARD_STEP') {
-                return `Finish Guarding`;
-            }
-        });
+function convertDeck(args, cardDatabase) {
+    const [inputPath, outputPath] = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--to' && args[i - 1] !== '--deck-format');
+    const deckFormat = args.includes('--deck-format') ? args[args.indexOf('--deck-format') + 1] : undefined;
+    const outputFormat = args.includes('--to') ? args[args.indexOf('--to') + 1] : undefined;
+    if (!inputPath || (!outputPath && !outputFormat)) {
+        console.error('Usage: node src/index.js convert-deck <path/to/deck> [<path/to/output>] [--deck-format <format>] [--to <format>]');
+        console.error(`Formats: ${Object.entries(DECK_FORMATS).map(([name, format]) => `${name} (${format.extensions.join(', ')})`).join(', ')}`);
+        process.exit(1);
+    }
 
-        const chosenAction = guardActions[choice];
-        party = await applyAction(party, chosenAction, rl);
+    const deck = loadDeck(inputPath, cardDatabase, deckFormat);
+    if (deck.readErrors.length > 0) throw new Error(`${inputPath} cannot be read:\n${formatDeckErrors(inputPath, deck.readErrors)}`);
 
-        // If the player chose to stop guarding, the phase will have changed in applyAction.
+    const content = writeDeck(deck, getDeckFormatName(outputPath ?? '', outputFormat));
+    if (outputPath) {
+        fs.writeFileSync(outputPath, content);
+        console.log(`Deck written to ${outputPath}`);
+    } else {
+        process.stdout.write(content);
     }
-
-    return party;
 }
 
 /**
- * Handles the interactive Battle Phase for the current player.
- * @param {Party} currentPartyState - The current state of the game.
- * @param {readline.Interface} rl - The readline interface for user input.
- * @returns {Promise<Party>} The new game state after the battle phase.
+ * Prints the composition of deck files and the odds of their draws, see DeckStats.
+ * @param {string[]} args - The deck paths, and optionally "--deck-format <format>" and "--json" to print JSON.
+ * @param {CardDatabase} cardDatabase
  */
-async function handleBattlePhase(currentPartyState, rl) {
-    let party = currentPartyState;
-    const playerIndex = party.currentPlayerIndex;
-
-    while (party.phase === 'battle') {
-        console.log(`\n==== TURN ${party.turn} - PLAYER ${playerIndex + 1} - BATTLE PHASE ====`);
-        party.printState(playerIndex);
-
-        const battleActions = getPossibleActions(party);
-
-        const choice = await getPlayerChoice(party, rl, battleActions, (action, index) => {
-            if (action.type === 'ATTACK') {
-                const boostText = action.boost ? ' (with Boost)' : '';
-                return `Attack with ${action.attacker.name} targeting ${action.target.name}${boostText}`;
-            } else if (action.type === 'PASS_BATTLE_PHASE') {
-                return `End Battle Phase`;
-            }
-        });
+function printDeckStats(args, cardDatabase) {
+    const deckPaths = args.filter((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--deck-format');
+    const deckFormat = args.includes('--deck-format') ? args[args.indexOf('--deck-format') + 1] : undefined;
+    if (deckPaths.length === 0) {
+        console.error('Usage: node src/index.js deck-stats <path/to/deck.md>... [--deck-format <format>] [--json]');
+        process.exit(1);
+    }
+
+    const stats = deckPaths.map(deckPath => {
+        const deck = loadDeck(deckPath, cardDatabase, deckFormat);
+        if (deck.readErrors.length > 0) throw new Error(`${deckPath} cannot be read:\n${formatDeckErrors(deckPath, deck.readErrors)}`);
+        return { deckPath, ...analyzeDeck(deck) };
+    });
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(stats, null, 2));
+        return;
+    }
 
-        const chosenAction = battleActions[choice];
+    const percent = probability => `${(probability * 100).toFixed(1)}%`;
+    const counts = object => Object.entries(object).map(([key, count]) => `${key}: ${count}`).join(', ');
+    for (const { deckPath, composition, rideOdds, driveOdds, damageCheckOdds } of stats) {
+        const { triggers: { total, ...triggers } } = composition;
+        console.log(`=== ${deckPath} ===`);
+        console.log(`Ride deck: ${composition.rideDeck.join(', ')}`);
+        console.log(`Main deck: ${composition.mainDeckSize} cards`);
+        console.log(`  Grades: ${counts(composition.grades)}`);
+        console.log(`  Triggers: ${total} (${counts(triggers)})`);
+        console.log(`  Shields: ${counts(composition.shields)}, total ${composition.shieldTotal}`);
+        console.log(`Sentinels: ${composition.sentinels}`);
+        console.log(`Nations: ${counts(composition.nations)}`);
+
+        console.log('Holding a card to ride from hand (5 cards and one draw per turn, no mulligan):');
+        for (const { turn, grade, copies, goingFirst, goingSecond } of rideOdds.turns) {
+            const what = turn > grade ? `a grade ${grade} for Persona Ride` : `a grade ${grade}`;
+            console.log(`  Turn ${turn}, ${what} (${copies} in deck): ${percent(goingFirst)} going first, ${percent(goingSecond)} going second`);
+        }
+        if (rideOdds.goingSecondDraws > 0) {
+            console.log(`  Going second, the first vanguard draws ${rideOdds.goingSecondDraws} card(s) when rode upon.`);
+        }
+        const { expectedDiscards } = rideOdds;
+        console.log(`  Expected discards to ride from the ride deck on turns 1 to 3: ${expectedDiscards.goingFirst.toFixed(2)} going first, ${expectedDiscards.goingSecond.toFixed(2)} going second`);
 
-        // For now, attack resolution is simple. Guarding and checks will be added later.
-        party = await applyAction(party, chosenAction, rl);
+        console.log('Drive checks, at least one trigger:');
+        for (const { checks, anyTrigger, ...byType } of driveOdds) {
+            const types = Object.entries(byType).filter(([type]) => triggers[type] > 0).map(([type, probability]) => `${type} ${percent(probability)}`);
+            console.log(`  ${checks} check(s): ${percent(anyTrigger)} (${types.join(', ')})`);
+        }
 
-        if (chosenAction.type === 'ATTACK') {
-            console.log(`Attack resolution: ${chosenAction.attacker.name} attacks ${chosenAction.target.name}.`);
-            // More detailed resolution will be inside applyAction later.
+        console.log('Damage checks:');
+        for (const { checks, expectedTriggers, anyTrigger, heal } of damageCheckOdds) {
+            console.log(`  ${checks} damage: ${expectedTriggers.toFixed(2)} triggers expected, ${percent(anyTrigger)} at least one, ${percent(heal)} at least one Heal`);
         }
+        console.log('');
     }
-    return party;
 }
 
-async function handleEffectResolutionPhase(currentPartyState, rl) {
-    console.log(`\n--- EFFECT RESOLUTION ---`);
-    const effectActions = getPossibleActions(currentPartyState);
-    const choice = await getPlayerChoice(currentPartyState, rl, effectActions, (action, index) => {
-        return action.description;
-    });
-    const chosenAction = effectActions[choice];
-    return await applyAction(currentPartyState, chosenAction, rl);
-}
+// The filters of the cards command, by option: each takes the option value and tells whether a card matches it.
+const CARD_FILTERS = {
+    '--name': value => card => card.name.toLowerCase().includes(value.toLowerCase()),
+    '--nation': value => card => (card.nation ?? 'None').toLowerCase() === value.toLowerCase(),
+    '--type': value => card => card.type.toLowerCase() === value.toLowerCase(),
+    '--grade': value => card => card.grade === parseInt(value, 10),
+    '--skill': value => card => card.skills.some(skill => skill.toLowerCase() === value.toLowerCase()),
+    '--trigger': value => card => card.trigger?.toLowerCase() === value.toLowerCase(),
+    '--text': value => card => (card.effect ?? '').toLowerCase().includes(value.toLowerCase()),
+};
 
 /**
- * Handles the End Phase for the current player (automatic).
- * @param {Party} currentPartyState - The current state of the game.
- * @returns {Party} The new game state.
+ * Searches the card database, and tells how much of each card the engine supports (see getEngineSupport).
+ * @param {string[]} args - The filters ("--nation <nation>", "--grade <grade>", "--skill <skill>", "--trigger <type>",
+ * "--text <text>", "--name <text>", "--type <type>"), "--implemented" for the cards with implemented effects,
+ * "--unsupported" for the cards with abilities the engine does not fully support, and "--json" to print JSON.
+ * @param {CardDatabase} cardDatabase
  */
-function handleEndPhase(currentPartyState) {
-    const playerIndex = currentPartyState.currentPlayerIndex;
-    console.log(`\n==== TURN ${currentPartyState.turn} - PLAYER ${playerIndex + 1} - END PHASE ====`);
-    
-    // Reset all "until end of turn" effects for BOTH players.
-    currentPartyState.players.forEach((player, index) => {
-        const allPlayerUnits = [...player.board.frontRow, ...player.board.backRow].filter(c => c.unit);
-        allPlayerUnits.forEach(c => {
-            if (c.unit.bonusPower > 0 || c.unit.bonusCritical > 0) {
-                console.log(`> Resetting bonuses for Player ${index + 1}'s ${c.unit.name}.`);
-                c.unit.bonusPower = 0;
-                c.unit.bonusCritical = 0;
-            }
-        });
-    });
+function searchCards(args, cardDatabase) {
+    const filters = [];
+    let json = false;
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] in CARD_FILTERS) {
+            if (args[i + 1] === undefined) throw new Error(`${args[i]} expects a value.`);
+            filters.push(CARD_FILTERS[args[i]](args[++i]));
+        } else if (args[i] === '--implemented') {
+            filters.push(card => card.implementedEffects.length > 0);
+        } else if (args[i] === '--unsupported') {
+            filters.push(card => ['partial', 'missing'].includes(getEngineSupport(card)));
+        } else if (args[i] === '--json') {
+            json = true;
+        } else {
+            throw new Error(`Unknown option "${args[i]}". Expected one of: ${[...Object.keys(CARD_FILTERS), '--implemented', '--unsupported', '--json'].join(', ')}.`);
+        }
+    }
 
-    // At the end of the turn, cards in the current player's hand are no longer considered public knowledge
-    // from events like drive checks during their turn.
-    currentPartyState.players[playerIndex].hand.forEach(card => {
-        card.isPublic = false;
-    });
+    const cards = cardDatabase.cards.filter(card => filters.every(filter => filter(card)));
+    if (json) {
+        console.log(JSON.stringify(cards.map(card => ({ ...card, engineSupport: getEngineSupport(card) })), null, 2));
+        return;
+    }
 
-    console.log(`Player ${playerIndex + 1} ends their turn.`);
+    const rows = cards.map(card => [
+        card.id,
+        card.grade ?? '-',
+        card.name,
+        card.nation ?? '-',
+        card.power ?? '-',
+        card.shield ?? '-',
+        [...card.skills, ...(card.trigger ? [`${card.trigger} Trigger`] : [])].join(', ') || '-',
+        getEngineSupport(card),
+    ].map(String));
+    const header = ['Number', 'G', 'Name', 'Nation', 'Power', 'Shield', 'Skills', 'Engine'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    console.log(formatRow(header));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.forEach(row => console.log(formatRow(row)));
+    console.log(`${cards.length} card(s). Engine: implemented = every ability has an implemented effect, partial = some abilities do not, missing = none do, vanilla = no abilities.`);
+}
 
-    currentPartyState.nextTurn();
-    currentPartyState.switchPlayer();
-    currentPartyState.phase = 'stand';
-    
-    return currentPartyState;
+/**
+ * Prints the end of a game: who won and why.
+ * @param {Party} party - The final game state.
+ */
+function printGameOver(party) {
+    console.log('\n--- GAME OVER ---');
+    const result = party.getGameResult();
+    if (result) console.log(`Player ${result.winnerIndex + 1} wins. ${result.reason}`);
 }
 
-async function main() {
-    const args = process.argv.slice(2);
-    if (args.length < 2) {
-        console.error('Usage: node src/index.js <path/to/deck1.md> <path/to/deck2.md> [some_string]');
+/**
+ * Replays a game record at the terminal, one action at a time.
+ * Commands: Enter or "n" for the next action, "b" for the previous one, a number to jump to an action, "q" to quit.
+ * @param {string[]} args - The record path, and optionally "--pov <1|2>" to show the game from player 2's side.
+ * @param {CardDatabase} cardDatabase
+ */
+async function replay(args, cardDatabase) {
+    const recordPath = args.find((arg, i) => !arg.startsWith('--') && args[i - 1] !== '--pov');
+    const povIndex = args.includes('--pov') ? parseInt(args[args.indexOf('--pov') + 1], 10) - 1 : 0;
+    if (!recordPath || (povIndex !== 0 && povIndex !== 1)) {
+        console.error('Usage: node src/index.js replay <path/to/record.json> [--pov <1|2>]');
         process.exit(1);
     }
 
+    const record = JSON.parse(fs.readFileSync(recordPath, 'utf-8'));
+    const steps = await replayGame(record, record.decks.map(deckList => buildDeck(deckList, cardDatabase)));
+    const lastStep = steps.length - 1;
+
+    const show = (index) => {
+        const { party, action } = steps[index];
+        if (action) {
+            const previous = steps[index - 1].party;
+            const playerIndex = previous.getDecidingPlayerIndex();
+            console.log(`\n=== Action ${index}/${lastStep}: Player ${playerIndex + 1}: ${formatAction(action, previous, playerIndex)} ===`);
+        } else {
+            console.log(`\n=== Start of the game (seed ${record.seed}), ${lastStep} actions ===`);
+        }
+        console.log(`Turn ${party.turn}, Player ${party.currentPlayerIndex + 1}, ${party.phase} phase`);
+        party.printState(povIndex);
+        process.stdout.write('[Enter/n] next, [b] back, [<number>] jump, [q] quit: ');
+    };
+
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    let index = 0;
+    show(index);
+    for await (const line of rl) {
+        const command = line.trim();
+        if (command === 'q') break;
+        if (command === '' || command === 'n') {
+            index = Math.min(index + 1, lastStep);
+        } else if (command === 'b') {
+            index = Math.max(index - 1, 0);
+        } else if (/^\d+$/.test(command)) {
+            index = Math.min(parseInt(command, 10), lastStep);
+        } else {
+            console.log(`Unknown command "${command}".`);
+        }
+        show(index);
+    }
+    rl.close();
+    console.log();
+}
 
+async function main() {
+    let argv;
+    let cardDatabase;
     try {
-        const [deck1Path, deck2Path] = args;
+        const options = extractCardDatabaseOptions(process.argv.slice(2));
+        argv = options.args;
+        cardDatabase = CardDatabase.load(options.setPaths, { overrideDir: options.overrideDir });
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+
+    if (argv[0] === 'replay') {
+        try {
+            await replay(argv.slice(1), cardDatabase);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (argv[0] === 'cards') {
+        try {
+            searchCards(argv.slice(1), cardDatabase);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (argv[0] === 'convert-deck') {
+        try {
+            convertDeck(argv.slice(1), cardDatabase);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (argv[0] === 'deck-stats') {
+        try {
+            printDeckStats(argv.slice(1), cardDatabase);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
 
-        const deck1Content = fs.readFileSync(deck1Path, 'utf-8');
-        const deck2Content = fs.readFileSync(deck2Path, 'utf-8');
-        const cardDatabase = JSON.parse(fs.readFileSync('vg_deck_cards.json', 'utf-8'));
+    if (argv[0] === 'validate-deck') {
+        try {
+            if (!validateDecks(argv.slice(1), cardDatabase)) process.exit(1);
+        } catch (error) {
+            console.error('Error:', error.message);
+            process.exit(1);
+        }
+        return;
+    }
 
-        const deck1 = parseDeck(deck1Content, cardDatabase);
-        const deck2 = parseDeck(deck2Content, cardDatabase);
+    // "load <save.json>" resumes a game saved with "save <file>" instead of starting one from two decks.
+    const isLoad = argv[0] === 'load';
+    let args;
+    try {
+        args = parseArgs(argv.slice(isLoad ? 1 : 0));
+        if ((isLoad || args.scenarioPath) && args.recordPath) throw new Error('--record can only be used for a game started from two decks.');
+        if (isLoad && args.scenarioPath) throw new Error('--scenario cannot be used with load.');
+    } catch (error) {
+        console.error('Error:', error.message);
+        process.exit(1);
+    }
+    const { deckPaths, controllerTypes, seed = new Random().nextInt(2 ** 32), recordPath, practiceMode, scenarioPath, deckFormat } = args;
+    if (deckPaths.length < (isLoad ? 1 : scenarioPath ? 0 : 2)) {
+        console.error('Usage: node src/index.js <path/to/deck1.md> <path/to/deck2.md> [--p1 <controller>] [--p2 <controller>] [--seed <integer>] [--record <file.json>] [--practice] [--deck-format <format>]');
+        console.error('       node src/index.js --scenario <path/to/scenario.json> [--p1 <controller>] [--p2 <controller>] [--seed <integer>] [--practice]');
+        console.error('       node src/index.js load <path/to/save.json> [--p1 <controller>] [--p2 <controller>] [--seed <integer>] [--practice]');
+        console.error('       node src/index.js replay <path/to/record.json> [--pov <1|2>]');
+        console.error('       node src/index.js validate-deck <path/to/deck.md>... [--regulation <Standard|Premium>] [--deck-format <format>]');
+        console.error('       node src/index.js cards [--name <text>] [--nation <nation>] [--type <type>] [--grade <grade>] [--skill <skill>] [--trigger <type>] [--text <text>] [--implemented] [--unsupported] [--json]');
+        console.error('       node src/index.js convert-deck <path/to/deck> [<path/to/output>] [--deck-format <format>] [--to <format>]');
+        console.error('       node src/index.js deck-stats <path/to/deck.md>... [--deck-format <format>] [--json]');
+        console.error(`Controllers: ${CONTROLLER_TYPES.join(', ')} (default: human)`);
+        console.error('--practice lets human players undo past draws, checks, shuffles and their opponent\'s decisions.');
+        console.error('Every command also takes --cards <set.json> (repeatable) to replace the card database and --card-overrides <dir>.');
+        console.error(`Deck formats: ${Object.keys(DECK_FORMATS).join(', ')} (default: by file extension, markdown otherwise)`);
+        process.exit(1);
+    }
 
-        let party = new Party(deck1, deck2);
-        party.startGame();
+    // The terminal is only opened if a human plays. Tab completes the command of the human being asked.
+    let rl = null;
+    const humans = [];
+    const completer = line => humans.find(human => human.prompt)?.complete(line) ?? [[], line];
+    const getReadline = () => {
+        rl ??= readline.createInterface({ input: process.stdin, output: process.stdout, completer });
+        return rl;
+    };
 
-        // Player 1 Mulligan
-        if (party.phase === 'mulligan') {
-            party = await handleMulliganPhase(party, rl);
+    try {
+        // Each bot gets its own seed, derived from the seed of the game.
+        const controllers = controllerTypes.map((type, index) => createController(type, getReadline, seed + index + 1, saveGame));
+        humans.push(...controllers.filter(controller => controller instanceof HumanController));
+
+        if (isLoad) {
+            const engine = new GameEngine(Party.fromJSON(JSON.parse(fs.readFileSync(deckPaths[0], 'utf-8'))), { log: console.log, practiceMode });
+            console.log(`Resuming ${deckPaths[0]}: turn ${engine.party.turn}, ${engine.party.phase} phase.`);
+            printGameOver(await engine.playUntilGameOver(controllers));
+            return;
         }
 
-        // Player 2 Mulligan
-        if (party.phase === 'mulligan') {
-            party = await handleMulliganPhase(party, rl);
+        // "--scenario <file.json>" starts from the position of a scenario file (see Party.fromScenario) instead of two decks.
+        // Its seed is used unless --seed is given.
+        if (scenarioPath) {
+            const scenario = JSON.parse(fs.readFileSync(scenarioPath, 'utf-8'));
+            const party = Party.fromScenario({ ...scenario, seed: args.seed ?? scenario.seed ?? seed }, cardDatabase);
+            console.log(`Seed: ${party.seed}`);
+            console.log(`Starting ${scenarioPath}: turn ${party.turn}, ${party.phase} phase.`);
+            const engine = new GameEngine(party, { log: console.log, practiceMode });
+            printGameOver(await engine.playUntilGameOver(controllers));
+            return;
         }
 
-        console.log('\n--- Mulligan Phase Complete ---');
-
-        // --- Main Game Loop ---
-        while (!party.isGameOver()) {
-            const playerIndex = party.currentPlayerIndex;
-            console.log(`\n\n<<<<<<<<<< TURN ${party.turn} - PLAYER ${playerIndex + 1} >>>>>>>>>>`);
-
-            // Loop through the phases of a turn until the turn ends.
-            // This structure allows effects to skip phases by changing `party.phase`.
-            let turnOver = false;
-            while (!turnOver) {
-                switch (party.phase) {
-                    case 'stand':
-                        party = handleStandPhase(party);
-                        break;
-                    case 'draw':
-                        party = handleDrawPhase(party);
-                        break;
-                    case 'ride':
-                        party = await handleRidePhase(party, rl);
-                        break;
-                    case 'main':
-                        party = await handleMainPhase(party, rl);
-                        break;
-                    case 'battle':
-                        if (party.turn === 1) {
-                            console.log('\n--- Battle Phase is skipped on Turn 1 ---');
-                            party.phase = 'end';
-                        } else {
-                            party = await handleBattlePhase(party, rl);
-                        }
-                        break;
-                    case 'guard':
-                        party = await handleGuardStep(party, rl);
-                        break;
-                    case 'effect_resolution':
-                        party = await handleEffectResolutionPhase(party, rl);
-                        break;
-                    case 'drive_check': {
-                        const { attackerCircle } = party.currentBattle;
-                        if (attackerCircle.name === 'V') {
-                            const driveAmount = attackerCircle.unit.drive;
-                            await party.driveCheck(driveAmount, rl);
-                        }
-                        party.phase = 'close_step'; // Move to the final step
-                        break;
-                    }
-                    case 'close_step':
-                        // This is a new phase to resolve the attack after all checks
-                        party = await applyCloseStep(party, rl);
-                        // applyCloseStep will set the phase to 'battle' or 'end'
-                        break;
-                    case 'end':
-                        party = handleEndPhase(party);
-                        turnOver = true; // The turn is now over, exit the inner while loop.
-                        break;
-                    default:
-                        console.error(`Unknown game phase: ${party.phase}`);
-                        turnOver = true; // Exit to prevent infinite loop
-                        break;
-                }
+        const [deck1Path, deck2Path] = deckPaths;
+
+        const deck1 = loadDeck(deck1Path, cardDatabase, deckFormat);
+        const deck2 = loadDeck(deck2Path, cardDatabase, deckFormat);
+        for (const [deckPath, deck] of [[deck1Path, deck1], [deck2Path, deck2]]) {
+            const errors = validateDeck(deck);
+            if (errors.length > 0) {
+                throw new Error(`${deckPath} is not a valid deck:\n${formatDeckErrors(deckPath, errors)}`);
             }
         }
 
-        console.log('\n--- GAME OVER ---');
+        // The deck lists are taken before the game shuffles the decks.
+        const deckLists = [getDeckList(deck1), getDeckList(deck2)];
+
+        // The engine runs the automatic phases and battle steps, and asks the controller of the deciding player otherwise.
+        // The seed is printed so that the game can be played again with --seed.
+        console.log(`Seed: ${seed}`);
+        const engine = GameEngine.fromDecks(deck1, deck2, { log: console.log, seed, practiceMode });
+        printGameOver(await engine.playUntilGameOver(controllers));
+
+        if (recordPath) {
+            fs.writeFileSync(recordPath, JSON.stringify(createGameRecord(engine.party, deckLists), null, 2));
+            console.log(`Game record written to ${recordPath}`);
+        }
     } catch (error) {
-        console.error('Error loading decks:', error.message);
+        console.error('Error:', error.message);
         process.exit(1);
     } finally {
-        rl.close();
+        rl?.close();
     }
 }
 
-main();
\ No newline at end of file
+main();
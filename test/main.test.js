@@ -0,0 +1,886 @@
+/**
+ * @file main.test.js
+ * Tests of the deck formats: each format reads back what it writes, and reports the files it cannot read.
+ * Tests of the scenarios: a game set up from a scenario has the board, hands and phase it describes.
+ * Tests of the card database: its lookups, and the effects it rejects at load time.
+ * Tests of the actions: the legal actions an action from outside the engine is matched against.
+ * Tests of the checks: the triggers revealed by drive and damage checks.
+ * Tests of the [AUTO] abilities: the events they trigger on, and the order in which both players resolve them.
+ * Tests of the battles: the guard step, with Sentinels and Blitz Orders, and the Sentinel limit of a deck,
+ * and the bonuses that last until end of that battle.
+ * Tests of the determinizations: what a search agent samples again of the hidden information, and what it keeps.
+ * Tests of the games: a game is fully described by its seed, its decks and its actions, and a saved game goes on
+ * as the game it was saved from.
+ * Tests of undo: what a player can take back, in and out of practice mode.
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { expect } from 'chai';
+import CardDatabase, { CardDatabaseError } from '../src/core/CardDatabase.js';
+import { DECK_FORMATS, readDeck, writeDeck, buildDeck } from '../src/core/DeckIO.js';
+import Party from '../src/core/Party.js';
+import { getPossibleActions } from '../src/core/ActionManager.js';
+import { applyAction } from '../src/core/ActionApplier.js';
+import { validateAction, findLegalActionIndex, IllegalActionError } from '../src/core/ActionValidator.js';
+import { validateDeck } from '../src/core/DeckValidator.js';
+import GameEngine from '../src/core/GameEngine.js';
+import { createGameRecord, replayGame } from '../src/core/GameRecord.js';
+import { resolveEffect } from '../src/core/EffectInterpreter.js';
+import Random from '../src/core/Random.js';
+import { determinize } from '../src/ai/Determinization.js';
+
+const CARD_SET = fileURLToPath(new URL('../vg_deck_cards.json', import.meta.url));
+const STARTER_DECK = fileURLToPath(new URL('../decks/KT_Starter.md', import.meta.url));
+const OTHER_STARTER_DECK = fileURLToPath(new URL('../decks/LM_Starter.md', import.meta.url));
+
+/**
+ * @param {object[]} entries - Entries returned by the parse of a format.
+ * @returns {object[]} What the entries say about the deck, without where they come from in the file.
+ */
+function describeEntries(entries) {
+    return entries.map(({ section, quantity, cardId, name }) => ({ section, quantity, cardId, name }));
+}
+
+/**
+ * Plays the legal actions picked by a random generator.
+ * @param {GameEngine} engine
+ * @param {Random} random
+ * @param {number} count - The number of actions to play, at most: the game can end before.
+ * @returns {Promise<Party>} The game state after the last action.
+ */
+async function playRandomActions(engine, random, count) {
+    for (let i = 0; i < count && !engine.isGameOver(); i++) {
+        await engine.step(random.pick(engine.getLegalActions()));
+    }
+    return engine.party;
+}
+
+/**
+ * @param {{rideDeck: Card[], mainDeck: Card[]}} deck
+ * @returns {{rideDeck: string[], mainDeck: string[]}} The card numbers of the deck.
+ */
+function cardIds(deck) {
+    return { rideDeck: deck.rideDeck.map(card => card.id), mainDeck: deck.mainDeck.map(card => card.id) };
+}
+
+describe('Deck formats', function () {
+    let cardDatabase;
+    let starterDeck;
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+        starterDeck = readDeck(fs.readFileSync(STARTER_DECK, 'utf-8'), cardDatabase, 'markdown');
+    });
+
+    it('reads the starter deck without errors', function () {
+        expect(starterDeck.readErrors).to.deep.equal([]);
+        expect(starterDeck.rideDeck).to.have.lengthOf(5);
+        expect(starterDeck.mainDeck).to.have.lengthOf(50);
+    });
+
+    for (const formatName of ['markdown', 'text', 'json', 'code']) {
+        describe(formatName, function () {
+            it('parses what it serializes back to the same entries', function () {
+                const format = DECK_FORMATS[formatName];
+                const content = writeDeck(starterDeck, formatName);
+                const parsed = format.parse(content, cardDatabase);
+                expect(parsed.errors).to.deep.equal([]);
+
+                const serialized = format.serialize(parsed.entries);
+                expect(serialized).to.equal(content);
+                const reparsed = format.parse(serialized, cardDatabase);
+                expect(reparsed.errors).to.deep.equal([]);
+                expect(describeEntries(reparsed.entries)).to.deep.equal(describeEntries(parsed.entries));
+            });
+
+            it('reads back the deck it writes', function () {
+                const deck = readDeck(writeDeck(starterDeck, formatName), cardDatabase, formatName);
+                expect(deck.readErrors).to.deep.equal([]);
+                if (formatName === 'text') {
+                    // Cards are found by name, so a reprint can come back as its first printing.
+                    const names = d => ({ rideDeck: d.rideDeck.map(card => card.name), mainDeck: d.mainDeck.map(card => card.name) });
+                    expect(names(deck)).to.deep.equal(names(starterDeck));
+                } else {
+                    expect(cardIds(deck)).to.deep.equal(cardIds(starterDeck));
+                }
+            });
+        });
+    }
+
+    describe('invalid input', function () {
+        it('reports a markdown line that is not a deck entry', function () {
+            const { entries, errors } = DECK_FORMATS.markdown.parse('# Ride\n1x\t Some card\n# Main\n', cardDatabase);
+            expect(entries).to.deep.equal([]);
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0].line).to.equal(2);
+            expect(errors[0].message).to.match(/not a deck entry/);
+        });
+
+        it('reports a text card name that is not in the card database', function () {
+            const { entries, errors } = DECK_FORMATS.text.parse('Ride Deck\n1 No Such Card\n', cardDatabase);
+            expect(entries).to.deep.equal([]);
+            expect(errors).to.deep.equal([{ line: 2, message: 'Unknown card name "No Such Card": it is not in the card database.' }]);
+        });
+
+        it('reports a JSON deck without its lists', function () {
+            const { entries, errors } = DECK_FORMATS.json.parse('{ "rideDeck": [] }', cardDatabase);
+            expect(entries).to.deep.equal([]);
+            expect(errors).to.deep.equal([{ line: null, message: 'A JSON deck must have a rideDeck and a mainDeck list.' }]);
+        });
+
+        it('throws on content that is not JSON', function () {
+            expect(() => DECK_FORMATS.json.parse('rideDeck: []', cardDatabase)).to.throw(SyntaxError);
+        });
+
+        it('reports a deck code with the wrong prefix', function () {
+            const deckCode = writeDeck(starterDeck, 'code').replace(/^[^.]+\./, 'XYZ9.');
+            const { entries, errors } = DECK_FORMATS.code.parse(deckCode, cardDatabase);
+            expect(entries).to.deep.equal([]);
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0].message).to.match(/must start with/);
+        });
+
+        it('reports a damaged deck code', function () {
+            const prefix = writeDeck(starterDeck, 'code').split('.')[0] + '.';
+            const damaged = prefix + Buffer.from('DZ-TD04/001EN|DZ-TD04/006EN,not a card', 'utf-8').toString('base64url');
+            const { entries, errors } = DECK_FORMATS.code.parse(damaged, cardDatabase);
+            expect(entries).to.deep.equal([]);
+            expect(errors).to.deep.equal([{ line: 1, message: 'This deck code is damaged.' }]);
+        });
+    });
+});
+
+describe('Party.fromScenario', function () {
+    let cardDatabase;
+
+    // Player 2 attacks on turn 4, with a resting rear-guard and a Counter-Blasted damage zone.
+    const scenario = {
+        seed: 7,
+        turn: 4,
+        turnPlayer: 2,
+        phase: 'main',
+        players: [{
+            board: { V: 'DZ-BT01/109EN' },
+            hand: ['D-TD03/007EN'],
+            deck: ['DZ-SS08/049EN', 'DZ-SS08/047EN', 'DZ-SS08/048EN'],
+        }, {
+            board: { V: 'DZ-TD04/001EN', R1: { card: 'DZ-BT01/064EN', resting: true } },
+            hand: ['DZ-SS08/046EN', 'DZ-BT01/113EN'],
+            deck: ['DZ-SS08/049EN', 'DZ-SS08/047EN', 'DZ-BT01/110EN'],
+            damageZone: ['DZ-SS08/049EN', { card: 'DZ-SS08/047EN', faceUp: false }],
+            energy: 3,
+        }],
+    };
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('sets up the turn, the phase and the players', function () {
+        const party = Party.fromScenario(scenario, cardDatabase);
+        expect(party.turn).to.equal(4);
+        expect(party.phase).to.equal('main');
+        expect(party.currentPlayerIndex).to.equal(1);
+        expect(party.firstPlayerIndex).to.equal(0); // Player 2 plays the even turns
+        expect(party.getGameResult()).to.equal(null);
+    });
+
+    it('puts the cards on the board, in the hands and in the other zones', function () {
+        const [player1, player2] = Party.fromScenario(scenario, cardDatabase).players;
+        expect(player1.board.V.unit.id).to.equal('DZ-BT01/109EN');
+        expect(player1.hand.map(card => card.id)).to.deep.equal(['D-TD03/007EN']);
+        expect(player1.energy).to.equal(0);
+
+        expect(player2.board.V.unit.id).to.equal('DZ-TD04/001EN');
+        expect(player2.board.R1.unit.id).to.equal('DZ-BT01/064EN');
+        expect(player2.board.R1.unit.isResting).to.equal(true);
+        expect(player2.board.R2.unit).to.equal(null);
+        expect(player2.hand.map(card => card.id)).to.deep.equal(['DZ-SS08/046EN', 'DZ-BT01/113EN']);
+        expect(player2.damageZone.map(card => card.isFaceUp)).to.deep.equal([true, false]);
+        expect(player2.energy).to.equal(3);
+        // The deck is listed from its top card, and cards are drawn from the end of the deck.
+        expect(player2.deck.at(-1).id).to.equal('DZ-SS08/049EN');
+    });
+
+    it('plays on from the scenario', async function () {
+        const party = Party.fromScenario(scenario, cardDatabase);
+        const call = getPossibleActions(party).find(action => action.type === 'CALL'
+            && action.cardInstanceId.includes('DZ-BT01/113EN') && action.circleTag === 'R2');
+        const afterCall = await applyAction(party, call);
+        const player2 = afterCall.players[1];
+        expect(player2.board.R2.unit.id).to.equal('DZ-BT01/113EN');
+        expect(player2.hand.map(card => card.id)).to.deep.equal(['DZ-SS08/046EN']);
+        expect(afterCall.phase).to.equal('main');
+        expect(party.players[1].hand).to.have.lengthOf(2); // The scenario is left as it was
+
+        const afterPass = await applyAction(afterCall, { type: 'PASS_MAIN_PHASE' });
+        expect(afterPass.phase).to.equal('battle');
+    });
+
+    it('rejects a card that is not in the card database', function () {
+        const badScenario = { ...scenario, players: [{ ...scenario.players[0], hand: ['XX-XX01/001EN'] }, scenario.players[1]] };
+        expect(() => Party.fromScenario(badScenario, cardDatabase)).to.throw('Scenario: unknown card XX-XX01/001EN (player 1, hand).');
+    });
+});
+
+describe('CardDatabase', function () {
+    let cardDatabase;
+
+    // A grade 2 with an [AUTO] ability, with the given condition and steps.
+    const cardWithCondition = (condition, steps = [{ do: 'draw' }]) => ({
+        card_number_full: 'XX-TS01/001EN',
+        name_face: 'Test Knight',
+        type: 'Normal Unit',
+        nation: 'Keter Sanctuary',
+        grade: 'Grade 2',
+        power: 'Power 10000',
+        critical: 'Critical 1',
+        shield: 'Shield 5000',
+        implemented_effects: [{ trigger: 'on_ride', zone: 'VC', condition, steps }],
+    });
+    const loadErrors = (condition, steps) => {
+        try {
+            CardDatabase.fromSets([{ source: 'test.json', entries: [cardWithCondition(condition, steps)] }]);
+            return [];
+        } catch (error) {
+            if (!(error instanceof CardDatabaseError)) throw error;
+            return error.errors;
+        }
+    };
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('finds the cards of a name, in any case, and of a nation', function () {
+        const cards = cardDatabase.findByName('knight of calming silence, SWITHELM');
+        expect(cards.map(card => card.id)).to.include('DZ-BT01/109EN');
+        expect(cardDatabase.findByName('No Such Card')).to.deep.equal([]);
+
+        const nationCards = cardDatabase.findByNation('Keter Sanctuary');
+        expect(nationCards.map(card => card.id)).to.include('DZ-BT01/109EN');
+        expect(nationCards.every(card => card.nation === 'Keter Sanctuary')).to.equal(true);
+        expect(nationCards).to.have.lengthOf(cardDatabase.cards.filter(card => card.nation === 'Keter Sanctuary').length);
+    });
+
+    it('accepts well-formed conditions', function () {
+        expect(loadErrors(['vanguard.grade', '>=', 3])).to.deep.equal([]);
+        expect(loadErrors(['not', ['event.playerIndex', '===', { ref: 'player.index' }]])).to.deep.equal([]);
+        expect(loadErrors([['player.wentSecond', '===', true], 'and', ['unitCount', '<=', 2], 'or', ['turn', '>', 4]])).to.deep.equal([]);
+    });
+
+    it('rejects conditions with an unknown operator, field or value', function () {
+        expect(loadErrors(['vanguard.grade', '=>', 3])).to.have.lengthOf(1).and.to.match(/unknown operator "=>"/);
+        expect(loadErrors(['vangaurd.grade', '>=', 3])).to.have.lengthOf(1).and.to.match(/unknown field "vangaurd.grade"/);
+        expect(loadErrors(['event.rider', '===', { card: 'self' }])).to.have.lengthOf(1).and.to.match(/must be a string, a number/);
+        expect(loadErrors([['turn', '>', 1], 'and', ['turn', '<', 4], 'xor', ['phase', '===', 'main']])).to.have.lengthOf(1).and.to.match(/unknown logical operator "xor"/);
+        expect(loadErrors('vanguard.grade >= 3')).to.have.lengthOf(1).and.to.match(/is not a condition list/);
+        expect(loadErrors(['vanguard.grade', '>=', 3, 4])).to.have.lengthOf(1).and.to.match(/is not a comparison/);
+    });
+
+    it('accepts well-formed steps', function () {
+        const condition = ['vanguard.grade', '>=', 3];
+        expect(loadErrors(condition, [
+            { do: 'callFromHand', filter: { maxGrade: 2, normalUnit: true }, optional: true },
+            { do: 'power', target: 'called', amount: 5000, duration: 'battle', onlyIf: 'called' },
+            { do: 'if', condition: ['turn', '>', 4], then: [{ do: 'moveSelf', to: 'removedZone' }] },
+        ])).to.deep.equal([]);
+    });
+
+    it('rejects steps with an unknown name or parameter, a wrong value or a missing parameter', function () {
+        const condition = ['vanguard.grade', '>=', 3];
+        expect(loadErrors(condition, [{ do: 'retire' }])).to.have.lengthOf(1).and.to.match(/unknown step "retire"/);
+        expect(loadErrors(condition, [{ do: 'draw', cout: 2 }])).to.have.lengthOf(1).and.to.match(/step "draw": unknown parameter "cout"/);
+        expect(loadErrors(condition, [{ do: 'power', amount: '5000' }])).to.have.lengthOf(1).and.to.match(/amount must be an integer/);
+        expect(loadErrors(condition, [{ do: 'energyCharge' }])).to.have.lengthOf(1).and.to.match(/missing parameter "amount"/);
+        expect(loadErrors(condition, [{ do: 'callFromHand', filter: { grade: 2 } }])).to.have.lengthOf(1).and.to.match(/filter must be an object with some of/);
+        expect(loadErrors(condition, [{ do: 'if', condition: ['turn', '>', 4], then: [{ do: 'moveSelf', to: 'graveyard' }] }]))
+            .to.have.lengthOf(1).and.to.match(/to must be one of/);
+    });
+
+    it('throws on a step that is not in the library when an effect resolves', async function () {
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'main',
+            players: [{ board: { V: 'DZ-BT01/109EN' } }, { board: { V: 'DZ-BT01/109EN' } }],
+        }, cardDatabase);
+        let error = null;
+        try {
+            await resolveEffect(party, { steps: [{ do: 'retire' }] }, { playerIndex: 0, source: null });
+        } catch (thrown) {
+            error = thrown;
+        }
+        expect(error?.message).to.equal('EffectInterpreter: unknown step "retire".');
+    });
+});
+
+describe('Actions', function () {
+    let cardDatabase;
+
+    // Player 1 decides on their mulligan.
+    const mulliganScenario = {
+        seed: 3,
+        turn: 1,
+        phase: 'mulligan',
+        players: [{
+            board: { V: 'DZ-TD04/006EN' },
+            hand: ['DZ-SS08/046EN', 'DZ-BT01/113EN', 'DZ-SS08/049EN'],
+            deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN', 'DZ-BT01/110EN', 'DZ-BT01/064EN'],
+        }, {
+            board: { V: 'DZ-TD04/006EN' },
+            hand: ['DZ-SS08/046EN'],
+            deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN'],
+        }],
+    };
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('accepts a MULLIGAN that lists its cards in another order', async function () {
+        const party = Party.fromScenario(mulliganScenario, cardDatabase);
+        const [first, second] = party.players[0].hand.map(card => card.uniqueId);
+        const reordered = { type: 'MULLIGAN', cardInstanceIds: [second, first] };
+        expect(validateAction(party, reordered)).to.equal(null);
+
+        const legalActions = getPossibleActions(party);
+        const index = findLegalActionIndex(legalActions, reordered);
+        expect(legalActions[index].cardInstanceIds).to.deep.equal([first, second]);
+
+        const engine = new GameEngine(party);
+        await engine.step(reordered);
+        expect(engine.party.history[0].action).to.deep.equal({ type: 'MULLIGAN', cardInstanceIds: [first, second] });
+    });
+
+    it('accepts riding with the second copy of a card, and discarding the second copy', async function () {
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'ride',
+            players: [{
+                board: { V: 'DZ-BT01/064EN' },
+                hand: ['DZ-BT01/113EN', 'DZ-BT01/113EN', 'DZ-SS08/046EN', 'DZ-SS08/046EN'],
+                rideDeck: ['DZ-BT01/109EN'],
+                deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN'],
+            }, mulliganScenario.players[1]],
+        }, cardDatabase);
+        const [, secondDragon, , secondKnight] = party.players[0].hand.map(card => card.uniqueId);
+        const rideDeckCard = party.players[0].rideDeck[0].uniqueId;
+
+        // Only the first copy is offered to players and bots.
+        const offered = getPossibleActions(party).filter(action => action.type === 'RIDE');
+        expect(offered.map(action => action.cardInstanceId)).not.to.include(secondDragon);
+        expect(offered.map(action => action.discardInstanceId)).not.to.include(secondKnight);
+
+        const rideSecondCopy = { type: 'RIDE', source: 'hand', cardInstanceId: secondDragon };
+        const discardSecondCopy = { type: 'RIDE', source: 'rideDeck', cardInstanceId: rideDeckCard, discardInstanceId: secondKnight };
+        expect(validateAction(party, rideSecondCopy)).to.equal(null);
+        expect(validateAction(party, discardSecondCopy)).to.equal(null);
+
+        const engine = new GameEngine(party);
+        await engine.step(rideSecondCopy);
+        expect(engine.party.players[0].board.V.unit.uniqueId).to.equal(secondDragon);
+    });
+
+    it('accepts paying a cost with the second copy of a card', function () {
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'main',
+            players: [{
+                board: { V: 'DZ-TD04/001EN' },
+                deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN'],
+                damageZone: ['DZ-SS08/049EN', 'DZ-SS08/049EN'],
+            }, mulliganScenario.players[1]],
+        }, cardDatabase);
+        const [firstDamage, secondDamage] = party.players[0].damageZone.map(card => card.uniqueId);
+        const act = getPossibleActions(party).find(action => action.type === 'ACT');
+        expect(act.payment).to.deep.equal({ counterBlast: [firstDamage] });
+
+        expect(validateAction(party, { ...act, payment: { counterBlast: [secondDamage] } })).to.equal(null);
+        expect(validateAction(party, { ...act, payment: { counterBlast: ['P1-not-a-card'] } }).code).to.equal('INVALID_PAYMENT');
+    });
+
+    it('throws on a trusted action with a card that is not there', async function () {
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'main',
+            players: [{
+                board: { V: 'DZ-TD04/001EN' },
+                hand: ['DZ-SS08/046EN'],
+                deck: ['DZ-SS08/047EN'],
+            }, mulliganScenario.players[1]],
+        }, cardDatabase);
+        const call = { type: 'CALL', cardInstanceId: 'P1-not-a-card', circleTag: 'R1' };
+        let error = null;
+        try {
+            await applyAction(party, call, undefined, { trusted: true });
+        } catch (thrown) {
+            error = thrown;
+        }
+        expect(error).to.be.instanceOf(IllegalActionError);
+        expect(error.code).to.equal('INVALID_CARD');
+        expect(party.players[0].hand).to.have.lengthOf(1);
+    });
+});
+
+describe('Checks', function () {
+    let cardDatabase;
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('lets the player heal a face-down damage rather than a face-up copy of it', async function () {
+        // Player 1 attacks, and the damage check of player 2 reveals a Heal trigger.
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'battle',
+            players: [{
+                board: { V: 'DZ-BT01/110EN' },
+                deck: ['DZ-BT01/110EN', 'DZ-BT01/110EN'],
+                damageZone: ['DZ-BT01/110EN', 'DZ-BT01/110EN'],
+            }, {
+                board: { V: 'DZ-BT01/110EN' },
+                deck: ['DZ-SS08/049EN', 'DZ-BT01/110EN'],
+                damageZone: ['DZ-SS08/049EN', { card: 'DZ-SS08/049EN', faceUp: false }],
+            }],
+        }, cardDatabase);
+        const faceDownId = party.players[1].damageZone[1].uniqueId;
+        const engine = new GameEngine(party);
+        await engine.step(engine.getLegalActions().find(action => action.type === 'ATTACK'));
+        await engine.step({ type: 'PASS_GUARD_STEP' });
+
+        expect(engine.getPendingChoice().options).to.deep.equal(['[G0] Palpitation Angel', '[G0] Palpitation Angel (face down)']);
+        await engine.step({ type: 'CHOOSE', index: 1 });
+        const defender = engine.party.players[1];
+        expect(defender.dropZone.map(card => card.uniqueId)).to.deep.equal([faceDownId]);
+        expect(defender.damageZone.map(card => card.isFaceUp)).to.deep.equal([true, true]);
+    });
+});
+
+describe('Triggers', function () {
+    let cardDatabase;
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('calls a card discarded from hand during its ride phase', async function () {
+        // Player 1 rides from their ride deck, and discards Medical Shot Angel for it.
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'ride',
+            players: [{
+                board: { V: 'DZ-BT01/064EN' },
+                hand: ['DZ-BT01/065EN', 'DZ-SS08/046EN'],
+                rideDeck: ['DZ-BT01/109EN'],
+                deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN'],
+            }, {
+                board: { V: 'DZ-TD04/006EN' },
+                deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN'],
+            }],
+        }, cardDatabase);
+        const [angel] = party.players[0].hand.map(card => card.uniqueId);
+        const engine = new GameEngine(party);
+        await engine.step({ type: 'RIDE', source: 'rideDeck', cardInstanceId: party.players[0].rideDeck[0].uniqueId, discardInstanceId: angel });
+
+        const activate = engine.getLegalActions().find(action => action.type === 'ACTIVATE_EFFECT');
+        expect(activate.cardInstanceId).to.equal(angel);
+        await engine.step(activate);
+        expect(engine.getPendingChoice().options).to.deep.equal(['R1', 'R2', 'R3', 'R4', 'R5']);
+        await engine.step({ type: 'CHOOSE', index: 2 });
+
+        const player1 = engine.party.players[0];
+        expect(player1.board.R3.unit.uniqueId).to.equal(angel);
+        expect(player1.board.R3.unit.isResting).to.equal(true);
+        expect(player1.dropZone).to.deep.equal([]);
+    });
+
+    it('lets the turn player resolve their abilities first, then the other player', async function () {
+        // A unit that draws a card whenever any unit is called: both players have some on (RC).
+        const watcher = 'XX-TS01/002EN';
+        const watcherDatabase = CardDatabase.fromSets([{ source: 'test.json', entries: [{
+            card_number_full: watcher,
+            name_face: 'Test Watcher',
+            type: 'Normal Unit',
+            nation: 'Keter Sanctuary',
+            grade: 'Grade 1',
+            power: 'Power 8000',
+            critical: 'Critical 1',
+            shield: 'Shield 5000',
+            implemented_effects: [{ trigger: 'on_call', zone: 'RC', steps: [{ do: 'draw' }] }],
+        }] }]);
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'main',
+            players: [
+                { board: { V: watcher, R1: watcher }, hand: [watcher], deck: [watcher, watcher] },
+                { board: { V: watcher, R1: watcher }, deck: [watcher, watcher] },
+            ],
+        }, watcherDatabase);
+        const engine = new GameEngine(party);
+        await engine.step(engine.getLegalActions().find(action => action.type === 'CALL' && action.circleTag === 'R2'));
+
+        const activatedIds = () => engine.getLegalActions()
+            .filter(action => action.type === 'ACTIVATE_EFFECT').map(action => action.cardInstanceId);
+        expect(engine.getDecidingPlayerIndex()).to.equal(0);
+        expect(activatedIds()).to.have.members([party.players[0].board.R1.unit.uniqueId, party.players[0].hand[0].uniqueId]);
+        await engine.step(engine.getLegalActions()[0]);
+        expect(engine.getDecidingPlayerIndex()).to.equal(0);
+        expect(activatedIds()).to.have.lengthOf(1);
+        await engine.step({ type: 'PASS_EFFECT' });
+
+        expect(engine.getDecidingPlayerIndex()).to.equal(1);
+        expect(activatedIds()).to.deep.equal([party.players[1].board.R1.unit.uniqueId]);
+        await engine.step(engine.getLegalActions()[0]);
+        expect(engine.party.phase).to.equal('main');
+        expect(engine.party.players.map(player => player.hand.length)).to.deep.equal([1, 1]);
+    });
+});
+
+describe('Battles', function () {
+    let cardDatabase;
+
+    // Player 1 attacks with their vanguard and a rear-guard. Player 2 has a Sentinel, a Blitz Order and another card.
+    const scenario = {
+        turn: 3,
+        phase: 'battle',
+        players: [{
+            board: { V: 'DZ-TD04/006EN', R1: 'DZ-BT01/110EN' },
+            deck: ['DZ-BT01/110EN', 'DZ-BT01/110EN', 'DZ-BT01/110EN', 'DZ-BT01/110EN'],
+        }, {
+            board: { V: 'DZ-BT01/110EN' },
+            hand: ['DZ-TD04/013EN', 'DZ-SS08/046EN', 'DZ-SS06/020EN'],
+            deck: ['DZ-BT01/110EN', 'DZ-BT01/110EN', 'DZ-BT01/110EN'],
+        }],
+    };
+
+    /**
+     * @returns {Promise<GameEngine>} A game from the scenario, where player 2 guards the attack of the vanguard of player 1.
+     */
+    async function attackWithVanguard() {
+        const engine = new GameEngine(Party.fromScenario(scenario, cardDatabase));
+        await engine.step(engine.getLegalActions().find(action => action.type === 'ATTACK' && action.attackerCircle === 'V'));
+        expect(engine.getDecidingPlayerIndex()).to.equal(1);
+        return engine;
+    }
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('lets a Sentinel guard make the attacked unit impossible to hit', async function () {
+        const engine = await attackWithVanguard();
+        const [sentinel, knight] = engine.party.players[1].hand.map(card => card.uniqueId);
+        await engine.step({ type: 'GUARD', cardInstanceId: sentinel });
+
+        // The ability of the Sentinel is offered to player 2, with a card of their hand to discard.
+        const activate = engine.getLegalActions().find(action => action.type === 'ACTIVATE_EFFECT'
+            && action.payment.discard[0] === knight);
+        expect(engine.getDecidingPlayerIndex()).to.equal(1);
+        expect(activate.cardInstanceId).to.equal(sentinel);
+        await engine.step(activate);
+        await engine.step({ type: 'PASS_GUARD_STEP' });
+
+        const player2 = engine.party.players[1];
+        expect(player2.damageZone).to.deep.equal([]);
+        expect(player2.dropZone.map(card => card.uniqueId)).to.have.members([sentinel, knight]);
+        expect(engine.party.currentBattle).to.equal(null);
+        expect(engine.getDecidingPlayerIndex()).to.equal(0);
+    });
+
+    it('lets a Blitz Order be played from hand in the guard step', async function () {
+        const engine = await attackWithVanguard();
+        const [, knight, order] = engine.party.players[1].hand.map(card => card.uniqueId);
+        const playOrder = engine.getLegalActions().find(action => action.type === 'PLAY_ORDER'
+            && action.cardInstanceId === order && action.payment.discard[0] === knight);
+        await engine.step(playOrder);
+        await engine.step({ type: 'PASS_GUARD_STEP' });
+
+        const player2 = engine.party.players[1];
+        expect(player2.damageZone).to.deep.equal([]);
+        expect(player2.removedZone.map(card => card.uniqueId)).to.deep.equal([order]);
+        expect(player2.dropZone.map(card => card.uniqueId)).to.deep.equal([knight]);
+    });
+
+    it('ends the bonuses "until end of that battle" with the battle', async function () {
+        // Sia boosts the vanguard of player 1, with four units on their field.
+        const party = Party.fromScenario({
+            turn: 3,
+            phase: 'battle',
+            players: [{
+                board: { V: 'DZ-TD04/006EN', R1: 'DZ-BT01/110EN', R2: 'DZ-BT01/110EN', R4: 'DZ-BT01/064EN' },
+                damageZone: ['DZ-BT01/110EN'],
+                energy: 2,
+                deck: ['DZ-BT01/110EN', 'DZ-BT01/110EN', 'DZ-BT01/110EN', 'DZ-BT01/110EN'],
+            }, scenario.players[1]],
+        }, cardDatabase);
+        const messages = [];
+        const engine = new GameEngine(party, { log: message => messages.push(message) });
+        await engine.step(engine.getLegalActions().find(action => action.type === 'ATTACK' && action.attackerCircle === 'V' && action.boost));
+        await engine.step(engine.getLegalActions().find(action => action.type === 'ACTIVATE_EFFECT'));
+        const sia = () => engine.party.players[0].board.R4.unit;
+        expect(sia().currentPower).to.equal(13000);
+        expect(engine.party.currentBattle.step).to.equal('guard');
+
+        await engine.step({ type: 'PASS_GUARD_STEP' });
+        expect(messages).to.include('> Resolving attack: Attacker power 26000 vs Target power 10000'); // 13000 + 8000 + 5000
+        expect(sia().currentPower).to.equal(8000);
+        expect(engine.party.currentBattle).to.equal(null);
+        expect(engine.party.players[0].triggerZone).to.deep.equal([]);
+        expect(engine.party.players[0].hand).to.have.lengthOf(3); // The card drawn by Sia, and the two drive checks
+        expect(engine.party.players[1].damageZone).to.have.lengthOf(1);
+    });
+
+    it('does not allow more than four Sentinels in a deck', function () {
+        const content = fs.readFileSync(STARTER_DECK, 'utf-8');
+        expect(validateDeck(readDeck(content, cardDatabase))).to.deep.equal([]); // Three Kurabiel and an Elementaria Sanctitude
+
+        const moreSentinels = content.replace('3x\t Shadow Bow Archer', '2x\t Shadow Bow Archer')
+            .replace('3x\t Lifesaving Angel, Kurabiel', '4x\t Lifesaving Angel, Kurabiel');
+        expect(validateDeck(readDeck(moreSentinels, cardDatabase))).to.deep.equal([
+            { line: 21, message: 'Too many Sentinels: a deck may contain at most 4, but this one has 5.' },
+        ]);
+    });
+});
+
+describe('Determinization', function () {
+    let cardDatabase;
+
+    // Player 2 has a rear-guard and a hidden hand, and a deck of other cards.
+    const scenario = {
+        turn: 3,
+        phase: 'main',
+        players: [{
+            board: { V: 'DZ-TD04/001EN' },
+            deck: ['DZ-SS08/047EN', 'DZ-SS08/048EN'],
+        }, {
+            board: { V: 'DZ-BT01/109EN', R1: 'DZ-BT01/064EN' },
+            hand: ['DZ-SS08/046EN', 'DZ-BT01/113EN'],
+            deck: ['DZ-SS08/049EN', 'DZ-SS08/047EN', 'DZ-SS08/048EN', 'DZ-BT01/110EN', 'D-TD03/007EN'],
+        }],
+    };
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('keeps the public cards and the sizes of the zones, and resamples the rest', function () {
+        const party = Party.fromScenario(scenario, cardDatabase);
+        const [opponentHand, opponentDeck, ownDeck] = [party.players[1].hand, party.players[1].deck, party.players[0].deck];
+        opponentHand[0].isPublic = true;
+        const hiddenPool = [opponentHand[1], ...opponentDeck].map(card => card.uniqueId).sort();
+        const before = JSON.stringify(party.players);
+
+        const random = new Random(5);
+        const hiddenCards = new Set();
+        for (let i = 0; i < 20; i++) {
+            const sample = determinize(party, 0, random);
+            const [hand, deck] = [sample.players[1].hand, sample.players[1].deck];
+            expect(hand).to.have.lengthOf(opponentHand.length);
+            expect(deck).to.have.lengthOf(opponentDeck.length);
+            expect(hand[0].uniqueId).to.equal(opponentHand[0].uniqueId);
+            expect([hand[1], ...deck].map(card => card.uniqueId).sort()).to.deep.equal(hiddenPool);
+            expect(sample.players[0].deck.map(card => card.uniqueId).sort())
+                .to.deep.equal(ownDeck.map(card => card.uniqueId).sort());
+            expect(sample.players[1].board.R1.unit.uniqueId).to.equal(party.players[1].board.R1.unit.uniqueId);
+            hiddenCards.add(hand[1].uniqueId);
+        }
+        expect(hiddenCards.size).to.be.above(1);
+        expect(JSON.stringify(party.players)).to.equal(before);
+    });
+
+    it('keeps a unit returned from the field to the hand', async function () {
+        const party = Party.fromScenario(scenario, cardDatabase);
+        await resolveEffect(party, { steps: [{ do: 'returnToHand' }] }, { playerIndex: 1, source: null });
+        const returned = party.players[1].hand.at(-1);
+        expect(returned.id).to.equal('DZ-BT01/064EN');
+        expect(returned.isPublic).to.equal(true);
+
+        const random = new Random(5);
+        for (let i = 0; i < 20; i++) {
+            const sample = determinize(party, 0, random);
+            expect(sample.players[1].hand.map(card => card.uniqueId)).to.include(returned.uniqueId);
+        }
+    });
+});
+
+describe('Games', function () {
+    let cardDatabase;
+    let deckLists;
+    let consoleLog;
+
+    /**
+     * @param {object} [options] - See GameEngine.fromDecks.
+     * @returns {GameEngine} A new game between the two starter decks.
+     */
+    function startGame(options = {}) {
+        const [deck1, deck2] = deckLists.map(deckList => buildDeck(deckList, cardDatabase));
+        return GameEngine.fromDecks(deck1, deck2, options);
+    }
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+        deckLists = [STARTER_DECK, OTHER_STARTER_DECK]
+            .map(file => cardIds(readDeck(fs.readFileSync(file, 'utf-8'), cardDatabase, 'markdown')));
+        consoleLog = console.log;
+        console.log = () => {}; // Party.startGame prints the start of the game
+    });
+
+    after(function () {
+        console.log = consoleLog;
+    });
+
+    it('plays the same game twice from the same seed and the same decks', async function () {
+        this.timeout(10000);
+        const [first, second] = [startGame({ seed: 42 }), startGame({ seed: 42 })];
+        await playRandomActions(first, new Random(1), 60);
+        await playRandomActions(second, new Random(1), 60);
+        expect(first.party.history.length).to.be.above(20);
+        expect(second.party.history).to.deep.equal(first.party.history);
+        expect(JSON.stringify(second.party)).to.equal(JSON.stringify(first.party));
+
+        const other = startGame({ seed: 43 });
+        await playRandomActions(other, new Random(1), 60);
+        expect(JSON.stringify(other.party)).to.not.equal(JSON.stringify(first.party));
+    });
+
+    it('replays a version 1 record and a version 2 record of a game to the same state', async function () {
+        this.timeout(10000);
+        const engine = startGame({ seed: 7 });
+        const random = new Random(2);
+        const indexedActions = []; // The actions of the game as a version 1 record stores them
+        for (let i = 0; i < 60 && !engine.isGameOver(); i++) {
+            const actions = engine.getLegalActions();
+            const actionIndex = random.nextInt(actions.length);
+            indexedActions.push({ playerIndex: engine.getDecidingPlayerIndex(), actionIndex, type: actions[actionIndex].type });
+            await engine.step(actions[actionIndex]);
+        }
+
+        const records = [
+            { version: 1, seed: 7, decks: deckLists, actions: indexedActions },
+            JSON.parse(JSON.stringify(createGameRecord(engine.party, deckLists))),
+        ];
+        expect(records[1].version).to.equal(2);
+        for (const record of records) {
+            const steps = await replayGame(record, deckLists.map(deckList => buildDeck(deckList, cardDatabase)));
+            expect(steps).to.have.lengthOf(indexedActions.length + 1);
+            expect(JSON.stringify(steps.at(-1).party)).to.equal(JSON.stringify(engine.party));
+        }
+    });
+
+    it('goes on with a saved game as with the game it was saved from', async function () {
+        this.timeout(10000);
+        const engine = startGame({ seed: 11 });
+        await playRandomActions(engine, new Random(3), 30);
+        engine.party.players[1].hand[0].isPublic = true;
+
+        const loaded = new GameEngine(Party.fromJSON(JSON.parse(JSON.stringify(engine.party))));
+        expect(loaded.party.players[1].hand[0].isPublic).to.equal(true);
+        expect(loaded.party.players.map(player => player.deck.length))
+            .to.deep.equal(engine.party.players.map(player => player.deck.length));
+        expect(JSON.stringify(loaded.party)).to.equal(JSON.stringify(engine.party));
+
+        await playRandomActions(engine, new Random(4), 30);
+        await playRandomActions(loaded, new Random(4), 30);
+        expect(JSON.stringify(loaded.party)).to.equal(JSON.stringify(engine.party));
+    });
+
+    it('rejects a saved game of another version', function () {
+        const saved = { ...JSON.parse(JSON.stringify(startGame().party)), version: 0 };
+        expect(() => Party.fromJSON(saved)).to.throw('Unsupported saved game version 0');
+    });
+});
+
+describe('Undo', function () {
+    let cardDatabase;
+
+    // Player 1 is in their main phase. Player 2 has no card in hand, but still decides on their guard step.
+    const scenario = {
+        seed: 5,
+        turn: 3,
+        phase: 'main',
+        players: [{
+            board: { V: 'DZ-BT01/109EN', R1: 'DZ-BT01/064EN' },
+            hand: ['DZ-BT01/113EN', 'DZ-SS08/046EN'],
+            deck: ['DZ-SS08/048EN', 'DZ-BT01/110EN', 'D-TD03/007EN', 'DZ-SS08/048EN'],
+        }, {
+            board: { V: 'DZ-TD04/001EN' },
+            deck: ['DZ-SS08/048EN', 'DZ-BT01/110EN', 'D-TD03/007EN'],
+        }],
+    };
+
+    /**
+     * @param {object} [options] - See the GameEngine constructor.
+     * @returns {{engine: GameEngine, messages: string[]}} An engine playing from the scenario, and the messages it logs.
+     */
+    function startEngine(options = {}) {
+        const messages = [];
+        const engine = new GameEngine(Party.fromScenario(scenario, cardDatabase), { ...options, log: message => messages.push(message) });
+        return { engine, messages };
+    }
+
+    /**
+     * Player 1 attacks the vanguard of player 2 with their vanguard, and player 2 does not guard.
+     * @param {GameEngine} engine
+     */
+    async function attackUnguarded(engine) {
+        await engine.step({ type: 'PASS_MAIN_PHASE' });
+        await engine.step(engine.getLegalActions().find(action => action.type === 'ATTACK'
+            && action.attackerCircle === 'V' && action.targetCircle === 'V'));
+        await engine.step({ type: 'PASS_GUARD_STEP' });
+    }
+
+    before(function () {
+        cardDatabase = CardDatabase.load([CARD_SET]);
+    });
+
+    it('takes back the last decision of a player and plays it again', async function () {
+        const { engine, messages } = startEngine();
+        const before = engine.party;
+        const call = engine.getLegalActions().find(action => action.type === 'CALL'
+            && action.cardInstanceId.includes('DZ-BT01/113EN') && action.circleTag === 'R2');
+        const after = await engine.step(call);
+
+        expect(engine.undo(0)).to.equal(true);
+        expect(engine.party).to.equal(before);
+        expect(engine.undo(0)).to.equal(false);
+        expect(messages.at(-1)).to.equal('> Nothing to undo.');
+        expect(engine.redo()).to.equal(true);
+        expect(engine.party).to.equal(after);
+        expect(engine.redo()).to.equal(false);
+    });
+
+    it('does not undo past a decision of the opponent outside of practice mode', async function () {
+        const { engine, messages } = startEngine();
+        await attackUnguarded(engine);
+        const party = engine.party;
+        expect(engine.getDecidingPlayerIndex()).to.equal(0);
+        expect(engine.undo(0)).to.equal(false);
+        expect(messages.at(-1)).to.equal('> Cannot undo past a decision of your opponent outside of practice mode.');
+        expect(engine.party).to.equal(party);
+
+        const practice = startEngine({ practiceMode: true }).engine;
+        await attackUnguarded(practice);
+        expect(practice.undo(0)).to.equal(true);
+        expect(practice.party.phase).to.equal('battle');
+        expect(practice.party.players[0].board.V.unit.isResting).to.equal(false); // Back to before the attack
+    });
+
+    it('does not undo past a card drawn by the opponent outside of practice mode', async function () {
+        const { engine, messages } = startEngine();
+        await engine.step({ type: 'PASS_MAIN_PHASE' });
+        await engine.step({ type: 'PASS_BATTLE_PHASE' });
+        expect(engine.party.turn).to.equal(4);
+        expect(engine.party.players[1].hand).to.have.lengthOf(1); // Drawn at the start of the turn of player 2
+        expect(engine.undo(0)).to.equal(false);
+        expect(messages.at(-1)).to.equal('> Cannot undo past a draw, a check, a shuffle or a revealed card outside of practice mode.');
+
+        const practice = startEngine({ practiceMode: true }).engine;
+        await practice.step({ type: 'PASS_MAIN_PHASE' });
+        await practice.step({ type: 'PASS_BATTLE_PHASE' });
+        expect(practice.undo(0)).to.equal(true);
+        expect(practice.party.phase).to.equal('battle');
+        expect(practice.party.players[1].hand).to.have.lengthOf(0);
+    });
+});